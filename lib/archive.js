@@ -0,0 +1,347 @@
+const fs = require('fs');
+const {execFileSync} = require('child_process');
+const _ = require('lodash');
+const {cat, cp, mkdir, rm, ShellString} = require('shelljs');
+const path = require('path');
+const {readStatsFile, pickStatsFields} = require('./stats');
+const {defaultOptions} = require('./options');
+const {displaySize} = require('./size');
+
+// inlined like the interactive.html viewer so the index works from file://
+const indexScript = fs.readFileSync(path.join(__dirname, 'viewer', 'archive-index.js'), 'utf8');
+const indexStyle = fs.readFileSync(path.join(__dirname, 'viewer', 'archive-index.css'), 'utf8');
+
+function readIndex(archiveDirectory) {
+  const indexFile = path.join(archiveDirectory, 'index.json');
+  return fs.existsSync(indexFile) ? JSON.parse(cat(indexFile)) : [];
+}
+
+// builds are archived in a directory named by their hash, hash-2, hash-3... when different builds have the same hash
+// entries archived before hash conflicts were handled have no directory
+const directoryOf = g => g.directory || g.hash;
+
+// timings differ between runs of the same build
+const volatileStatsFields = ['time', 'builtAt'];
+// sizes read from --bundle-dir are added to stats in memory, the archived stats file doesn't have them
+const bundleSizeFields = ['parsedSize', 'gzipSize'];
+
+function withoutBundleSizes(stats) {
+  const omitSizes = items => items && items.map(item => _.omit(item, bundleSizeFields));
+  return _.omitBy(Object.assign({}, stats, {
+    assets: omitSizes(stats.assets),
+    chunks: omitSizes(stats.chunks),
+    modules: omitSizes(stats.modules),
+  }), _.isUndefined);
+}
+
+// compared as json so undefined properties of in-memory stats don't count
+// and only with the fields readStatsFile keeps, stats from the webpack plugin have all of them
+function isSameBuild(archivedStatsFile, stats) {
+  const comparable = s => JSON.parse(JSON.stringify(_.omit(withoutBundleSizes(pickStatsFields(s)), volatileStatsFields)));
+  return _.isEqual(comparable(readStatsFile(archivedStatsFile)), comparable(stats));
+}
+
+// the archive directory for stats, the same build graphed again reuses its directory
+// a different build with the same hash goes to hash-2 or throws with archiveConflict: 'error'
+function resolveArchivedBuildDirectory(archiveDirectory, stats, options) {
+  for (let n = 1; ; n++) {
+    const directory = n === 1 ? stats.hash : `${stats.hash}-${n}`;
+    const archivedStatsFile = path.join(archiveDirectory, directory, 'stats.json');
+    if (!fs.existsSync(archivedStatsFile) || isSameBuild(archivedStatsFile, stats)) {
+      return directory;
+    }
+    if (options.archiveConflict === 'error') {
+      throw new Error(`archive/${directory} has a different build with the same hash ${stats.hash}, remove it with: archive rm ${directory}, or use --archive-conflict suffix to archive this build as ${stats.hash}-${n + 1}`);
+    }
+  }
+}
+
+// only what changes the graph, where it's written and logging don't matter when comparing builds
+const unrecordedOptions = ['outputFolder', 'archiveGraphs', 'archiveCompare', 'archiveKeep', 'archiveKeepSince', 'archiveConflict', 'quiet', 'context', 'statsFile'];
+
+function recordedOptions(options) {
+  return _.pickBy(
+    _.omit(_.pick(options, Object.keys(defaultOptions)), unrecordedOptions),
+    (value, key) => value !== undefined && !_.isEqual(value, defaultOptions[key]));
+}
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, {cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore']}).trim();
+  }
+  catch (e) {
+    // not a repository or git isn't installed
+    return undefined;
+  }
+}
+
+// undefined outside of a git repository, branch is undefined on a detached head
+function gitInfo(cwd) {
+  const commit = git(['rev-parse', 'HEAD'], cwd);
+  if (!commit) {
+    return undefined;
+  }
+  const branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd);
+  return {commit, branch: branch === 'HEAD' ? undefined : branch};
+}
+
+function createIndexEntry(stats, directory, files, options, previousHash) {
+  return {
+    hash: stats.hash,
+    directory,
+    files: Object.keys(files).map(format => path.basename(files[format])),
+    time: new Date().toISOString(),
+    options: recordedOptions(options),
+    git: gitInfo(options.context || process.cwd()),
+    size: _.sumBy(stats.assets, 'size'),
+    chunks: stats.chunks.length,
+    modules: stats.modules.length,
+    warnings: (stats.warnings || []).length,
+    errors: (stats.errors || []).length,
+    previous: previousHash,
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// the file rows link to, entries from before files were recorded are looked up on disk
+function findGraphFile(g, archiveDirectory) {
+  return ['interactive.html', 'graph.svg']
+    .find(f => g.files ? g.files.includes(f) : fs.existsSync(path.join(archiveDirectory, directoryOf(g), f)));
+}
+
+function formatOptions(options) {
+  return _.map(options, (value, key) => `${_.kebabCase(key)}=${typeof value === 'string' ? value : JSON.stringify(value)}`).join(' ');
+}
+
+// total asset size per build in index order, a point per build
+function trendChart(index) {
+  const points = index.filter(g => g.size !== undefined);
+  if (points.length < 2) {
+    return '';
+  }
+  const width = 600;
+  const height = 120;
+  const padding = 8;
+  const maxSize = _.maxBy(points, 'size').size || 1;
+  const x = i => padding + i * (width - 2 * padding) / (points.length - 1);
+  const y = size => height - padding - size * (height - 2 * padding) / maxSize;
+  const coordinates = points.map((g, i) => `${x(i)},${y(g.size)}`).join(' ');
+  return `
+  <h2>total asset size</h2>
+  <svg class="trend" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <polyline points="${coordinates}"/>
+    ${points.map((g, i) => `<circle cx="${x(i)}" cy="${y(g.size)}" r="3"><title>${escapeHtml(`${directoryOf(g)}: ${displaySize(g.size)}`)}</title></circle>`).join('\n    ')}
+  </svg>`;
+}
+
+// data-sort holds the value columns sort by, the text is what's shown
+function cell(text, sortValue) {
+  const sort = sortValue === undefined ? '' : ` data-sort="${escapeHtml(sortValue)}"`;
+  return `<td${sort}>${text}</td>`;
+}
+
+function indexRow(g, archiveDirectory) {
+  const graphFile = findGraphFile(g, archiveDirectory);
+  const link = file => escapeHtml(`${directoryOf(g)}/${file}`);
+  const hash = graphFile ? `<a href="${link(graphFile)}">${escapeHtml(directoryOf(g))}</a>` : escapeHtml(directoryOf(g));
+  const gitText = g.git ? `${escapeHtml(g.git.branch || '')} ${escapeHtml(g.git.commit.substr(0, 7))}` : '';
+  const count = value => value === undefined ? cell('', -1) : cell(value, value);
+  return `
+    <tr>
+      ${cell(hash, directoryOf(g))}
+      ${cell(escapeHtml(new Date(g.time)), g.time)}
+      ${cell(gitText, gitText)}
+      ${g.size === undefined ? cell('', -1) : cell(displaySize(g.size), g.size)}
+      ${count(g.chunks)}
+      ${count(g.modules)}
+      ${count(g.warnings)}
+      ${count(g.errors)}
+      ${cell(escapeHtml(formatOptions(g.options)))}
+      ${cell(graphFile && g.previous ? `<a href="${link(`compare/${graphFile}`)}">compare with ${escapeHtml(g.previous)}</a>` : '')}
+    </tr>`;
+}
+
+function indexHtml(index, archiveDirectory) {
+  const columns = ['compilation hash', 'graph time', 'git', 'total asset size', 'chunks', 'modules', 'warnings', 'errors', 'options', ''];
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+${indexStyle}
+  </style>
+</head>
+<body>
+  ${trendChart(index)}
+  <table>
+    <thead>
+    <tr>
+      ${columns.map(c => `<th>${c}</th>`).join('\n      ')}
+    </tr>
+    </thead>
+    <tbody>${index.map(g => indexRow(g, archiveDirectory)).join('')}
+    </tbody>
+  </table>
+  <script type="text/javascript">
+${indexScript}
+  </script>
+</body>
+</html>
+`;
+}
+
+// note: index.html is generated from the in-memory index, keep entries to what JSON.stringify round trips, i.e. dates as strings
+function writeIndex(index, archiveDirectory) {
+  ShellString(JSON.stringify(index)).to(path.join(archiveDirectory, 'index.json'));
+  ShellString(indexHtml(index, archiveDirectory)).to(path.join(archiveDirectory, 'index.html'));
+}
+
+const durationUnits = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// a date like 2024-01-31 or a duration back from now like 12h, 30d or 8w
+function parseKeepSince(since, now) {
+  const duration = String(since).trim().match(/^(\d+)\s*([hdw])$/i);
+  if (duration) {
+    return new Date(now.getTime() - Number(duration[1]) * durationUnits[duration[2].toLowerCase()]);
+  }
+  const date = new Date(since);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid archive-keep-since: ${since}, use a date like 2024-01-31 or a duration like 30d`);
+  }
+  return date;
+}
+
+function parseKeep(keep) {
+  const count = Number(keep);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid archive-keep: ${keep}, use the number of builds to keep`);
+  }
+  return count;
+}
+
+// throws on invalid options, parse before changing the archive
+function parseRetention(options) {
+  return {
+    keep: options.archiveKeep === undefined ? Infinity : parseKeep(options.archiveKeep),
+    since: options.archiveKeepSince === undefined ? undefined : parseKeepSince(options.archiveKeepSince, new Date()),
+  };
+}
+
+// entries that are not in the last keep builds or older than since, with both set either one expires an entry
+function expiredEntries(index, retention) {
+  return index.filter((g, i) => i < index.length - retention.keep || (retention.since && new Date(g.time) < retention.since));
+}
+
+function removeEntries(index, removed, archiveDirectory) {
+  removed.forEach(g => rm('-rf', path.join(archiveDirectory, directoryOf(g))));
+  const remaining = _.difference(index, removed);
+  writeIndex(remaining, archiveDirectory);
+  return remaining;
+}
+
+// options are the options the graph was built with, they are recorded in index.json with the build's sizes and git commit
+// previousHash is the archived build the compare files are relative to, undefined without compare files, see writeGraphFiles
+function updateIndex(stats, archiveDirectory, directory, files, options, retention, previousHash) {
+  // a build that's graphed again replaces its entry instead of adding a second one
+  const index = readIndex(archiveDirectory).filter(g => directoryOf(g) !== directory);
+  index.push(createIndexEntry(stats, directory, files, options, previousHash));
+  // never the build that was just archived, i.e. with archiveKeepSince in the future
+  removeEntries(index, expiredEntries(index, retention).filter(g => directoryOf(g) !== directory), archiveDirectory);
+}
+
+// copies generated files (one per format, see writeDotFiles) to output-folder/archive/<stats.hash> and updates the archive index
+// options.statsFile is optional, when stats didn't come from a file (i.e. the webpack plugin) they are serialized instead
+// with options.archiveKeep and options.archiveKeepSince older builds are removed, see pruneArchive
+// returns the build's archive directory
+function archiveGraphFiles(stats, outputDirectory, files, options, previousHash) {
+  options = options || {};
+  const archiveDirectory = path.join(outputDirectory, 'archive');
+  const retention = parseRetention(options);
+  const directory = resolveArchivedBuildDirectory(archiveDirectory, stats, options);
+  const hashDirectory = path.join(archiveDirectory, directory);
+
+  mkdir('-p', hashDirectory);
+  Object.keys(files).forEach(format => cp(files[format], path.join(hashDirectory, path.basename(files[format]))));
+  const archivedStatsFile = path.join(hashDirectory, 'stats.json');
+  if (options.statsFile) {
+    cp(options.statsFile, archivedStatsFile);
+  }
+  else {
+    ShellString(JSON.stringify(stats)).to(archivedStatsFile);
+  }
+  updateIndex(stats, archiveDirectory, directory, files, options, retention, previousHash);
+  return hashDirectory;
+}
+
+// entries of index.json, oldest first
+function listArchive(outputDirectory) {
+  return readIndex(path.join(outputDirectory, 'archive'));
+}
+
+// a line per build, oldest first
+function formatArchiveList(index) {
+  if (index.length === 0) {
+    return 'No builds in the archive';
+  }
+  return index
+    .map(g => [
+      directoryOf(g),
+      g.time,
+      g.size === undefined ? '' : displaySize(g.size),
+      g.modules === undefined ? '' : `${g.modules} modules`,
+      g.git ? `${g.git.branch || '(detached)'} ${g.git.commit.substr(0, 7)}` : '',
+    ].join('  ').trim())
+    .join('\n');
+}
+
+// removes builds outside of options.archiveKeep and options.archiveKeepSince, returns the removed entries
+function pruneArchive(outputDirectory, options) {
+  const archiveDirectory = path.join(outputDirectory, 'archive');
+  const retention = parseRetention(options);
+  const index = readIndex(archiveDirectory);
+  const removed = expiredEntries(index, retention);
+  if (removed.length > 0) {
+    removeEntries(index, removed, archiveDirectory);
+  }
+  return removed;
+}
+
+// directory is the hash of the build or hash-2... for builds archived after a hash conflict
+function removeArchivedBuild(outputDirectory, directory) {
+  const archiveDirectory = path.join(outputDirectory, 'archive');
+  const index = readIndex(archiveDirectory);
+  const removed = index.filter(g => directoryOf(g) === directory);
+  if (removed.length === 0) {
+    throw new Error(`No build ${directory} in the archive, see archive list`);
+  }
+  removeEntries(index, removed, archiveDirectory);
+}
+
+// stats of the last archived build with a different hash, undefined if there is none
+function readPreviousArchivedStats(outputDirectory, hash) {
+  const archiveDirectory = path.join(outputDirectory, 'archive');
+  const previous = readIndex(archiveDirectory)
+    .reverse()
+    .find(entry => entry.hash !== hash && fs.existsSync(path.join(archiveDirectory, directoryOf(entry), 'stats.json')));
+  return previous ? readStatsFile(path.join(archiveDirectory, directoryOf(previous), 'stats.json')) : undefined;
+}
+
+module.exports = {
+  archiveGraphFiles,
+  readPreviousArchivedStats,
+  listArchive,
+  formatArchiveList,
+  pruneArchive,
+  removeArchivedBuild,
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const {ShellString, mkdir} = require('shelljs');
+const {parseModule} = require('./modules');
+const {chunkDisplayName, qualifiedChunkName} = require('./chunks');
+const {parseRule, createModuleNameMatcher} = require('./filter');
+const {displaySize, parseSize, sizeOf} = require('./size');
+const {findNodes} = require('./nodes');
+const {normalizeStats} = require('./normalize');
+const {setNodeColors, redHue} = require('./colors');
+
+// a budget maps globs or /regexes/ to max sizes, sizes are bytes or strings like 250KB:
+// {
+//   "assets": {"*.js": "250KB"},
+//   "chunks": {"vendor": "1MB"},
+//   "packages": {"lodash": "50KB"},
+//   "modules": {"src/**": "20KB"}
+// }
+// budget can be the object or a path to a json file, relative to context
+function loadBudget(budget, context) {
+  if (typeof budget !== 'string') {
+    return budget;
+  }
+  const budgetFile = path.resolve(context || process.cwd(), budget);
+  if (!fs.existsSync(budgetFile)) {
+    throw new Error(`File not found for budget: ${budgetFile}`);
+  }
+  return JSON.parse(fs.readFileSync(budgetFile, 'utf8'));
+}
+
+function parseBudgetRules(rules, createMatcher) {
+  return _.map(rules || {}, (maxSize, pattern) => ({
+    pattern,
+    matches: createMatcher(pattern),
+    maxSize: parseSize(maxSize),
+  }));
+}
+
+// each item is checked against the tightest budget of the rules that match it
+function checkItems(type, items, rules) {
+  return items
+    .map(item => {
+      const matchingRules = rules.filter(rule => rule.matches(item.match));
+      if (matchingRules.length === 0) {
+        return undefined;
+      }
+      const rule = _.minBy(matchingRules, 'maxSize');
+      return {
+        type,
+        name: item.name,
+        id: item.id,
+        size: item.size,
+        maxSize: rule.maxSize,
+        rule: rule.pattern,
+        passed: item.size <= rule.maxSize,
+      };
+    })
+    .filter(result => result);
+}
+
+// returns a result for every asset, chunk, package and module that a budget rule applies to
+// sizes are options.sizeType like the graph, see sizeOf
+function checkBudget(stats, budget, options) {
+  stats = normalizeStats(stats);
+  options = options || {};
+  const size = item => sizeOf(item, options.sizeType);
+  const parsedModules = stats.modules.map(m => parseModule(m));
+  const packages = _.chain(parsedModules)
+    .filter(m => m.packageDetails.name)
+    .groupBy(m => m.packageDetails.name)
+    .map((modules, name) => ({name, match: name, size: _.sumBy(modules, size)}))
+    .value();
+
+  return [].concat(
+    checkItems('asset', stats.assets.map(a => ({name: a.name, match: a.name, size: size(a)})),
+      parseBudgetRules(budget.assets, parseRule)),
+    checkItems('chunk', stats.chunks.map(c => ({
+      name: qualifiedChunkName(c),
+      id: c.id,
+      match: chunkDisplayName(c).toString(),
+      size: size(c),
+    })), parseBudgetRules(budget.chunks, parseRule)),
+    checkItems('package', packages, parseBudgetRules(budget.packages, parseRule)),
+    checkItems('module', parsedModules.map(m => ({name: m.name, id: m.graphId, match: m, size: size(m)})),
+      parseBudgetRules(budget.modules, createModuleNameMatcher))
+  );
+}
+
+// reuse node colors to make assets, modules and (with --view chunks) chunks over budget stand out
+function highlightBudgetViolations(graph, results) {
+  const highlight = node => {
+    setNodeColors(redHue, node);
+    node.set('style', 'filled,bold');
+    node.set('penwidth', 3);
+  };
+  results
+    .filter(r => !r.passed)
+    .forEach(r => {
+      if (r.type === 'asset') {
+        findNodes(graph, `file_${r.name}`).forEach(highlight);
+      }
+      else if (r.type === 'module') {
+        findNodes(graph, r.id).forEach(highlight);
+      }
+      else if (r.type === 'chunk') {
+        findNodes(graph, `chunk_${r.id}`).forEach(highlight);
+      }
+    });
+}
+
+function formatViolations(results) {
+  const violations = results.filter(r => !r.passed);
+  if (violations.length === 0) {
+    return `Budget passed, checked ${results.length} items`;
+  }
+  return [`Budget failed, ${violations.length} of ${results.length} items over budget:`]
+    .concat(violations.map(v =>
+      `  ${v.type} ${v.name}: ${displaySize(v.size)} > ${displaySize(v.maxSize)} (${v.rule})`))
+    .join('\n');
+}
+
+function budgetReportJson(results) {
+  return JSON.stringify({
+    passed: results.every(r => r.passed),
+    violations: results.filter(r => !r.passed),
+    results,
+  }, null, 2);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// one testsuite per type (asset, chunk, package, module), one testcase per checked item
+function budgetReportJunit(results) {
+  const suites = _.groupBy(results, 'type');
+  const failures = results.filter(r => !r.passed).length;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="webpack-stats-graph budget" tests="${results.length}" failures="${failures}">`,
+  ]
+    .concat(_.flatMap(suites, (suiteResults, type) => [
+      `  <testsuite name="${type}" tests="${suiteResults.length}" failures="${suiteResults.filter(r => !r.passed).length}">`,
+    ]
+      .concat(_.flatMap(suiteResults, r => {
+        const testcase = `    <testcase classname="budget.${type}" name="${escapeXml(r.name)}"`;
+        if (r.passed) {
+          return [`${testcase}/>`];
+        }
+        const message = `${displaySize(r.size)} is over budget of ${displaySize(r.maxSize)} (${r.rule})`;
+        return [
+          `${testcase}>`,
+          `      <failure message="${escapeXml(message)}" type="budget">${escapeXml(message)}</failure>`,
+          '    </testcase>',
+        ];
+      }))
+      .concat(['  </testsuite>'])))
+    .concat(['</testsuites>', ''])
+    .join('\n');
+}
+
+// writes budget-report.json and budget-report.xml (JUnit) to outputDirectory, returns their paths
+function writeBudgetReports(results, outputDirectory) {
+  mkdir('-p', outputDirectory);
+  const files = {
+    json: path.join(outputDirectory, 'budget-report.json'),
+    junit: path.join(outputDirectory, 'budget-report.xml'),
+  };
+  ShellString(budgetReportJson(results)).to(files.json);
+  ShellString(budgetReportJunit(results)).to(files.junit);
+  return files;
+}
+
+module.exports = {
+  loadBudget,
+  checkBudget,
+  highlightBudgetViolations,
+  formatViolations,
+  budgetReportJson,
+  budgetReportJunit,
+  writeBudgetReports,
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const _ = require('lodash');
+const {normalizeStats, markNormalized} = require('./normalize');
+
+// webpack's module size is the size of the source before minification, this reads the emitted files to measure:
+// - parsedSize: bytes in the emitted file, after minification
+// - gzipSize: bytes after gzip, roughly what's downloaded
+// assets get both from their file. modules get theirs from the code attributed to them with the asset's source map,
+// or without a source map by finding the module's source in the asset (unminified builds). chunks sum their files.
+
+const gzipSize = content => zlib.gzipSync(content).length;
+
+const base64Digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// a segment of source map mappings is a list of base64 VLQ numbers
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = base64Digits.indexOf(char);
+    value += (digit & 31) * Math.pow(2, shift);
+    if (digit & 32) {
+      shift += 5;
+      continue;
+    }
+    values.push(value % 2 === 1 ? -(value - 1) / 2 : value / 2);
+    value = 0;
+    shift = 0;
+  }
+  return values;
+}
+
+// the generated code of each source in the map, keyed by source name
+// a segment maps the code from its column up to the next segment on the same line
+function codeBySource(code, map) {
+  const lines = code.split('\n');
+  const fragments = {};
+  let sourceIndex = 0;
+  map.mappings.split(';').forEach((lineMappings, lineIndex) => {
+    const line = lines[lineIndex];
+    if (!lineMappings || line === undefined) {
+      return;
+    }
+    let column = 0;
+    const segments = lineMappings.split(',')
+      .map(decodeVlq)
+      .map(values => {
+        column += values[0];
+        // source, line and column are relative to the previous segment in the whole map, only the source is needed
+        if (values.length >= 4) {
+          sourceIndex += values[1];
+        }
+        return {column, source: values.length >= 4 ? map.sources[sourceIndex] : undefined};
+      });
+    segments.forEach((segment, i) => {
+      if (segment.source === undefined) {
+        return;
+      }
+      const end = i + 1 < segments.length ? segments[i + 1].column : line.length;
+      (fragments[segment.source] = fragments[segment.source] || []).push(line.slice(segment.column, end));
+    });
+  });
+  return _.mapValues(fragments, f => f.join(''));
+}
+
+// a sourceMappingURL comment (a file relative to the asset or a data url) or a .map file next to the asset
+function readSourceMap(assetFile, code) {
+  const comment = code.slice(-1000).match(/[#@] sourceMappingURL=(\S+)\s*(?:\*\/)?\s*$/);
+  let content;
+  if (comment && comment[1].startsWith('data:')) {
+    const data = comment[1].slice(comment[1].indexOf(',') + 1);
+    content = comment[1].includes(';base64,') ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+  }
+  else {
+    const mapFile = comment ? path.resolve(path.dirname(assetFile), comment[1].split('?')[0]) : `${assetFile}.map`;
+    content = fs.existsSync(mapFile) ? fs.readFileSync(mapFile, 'utf8') : undefined;
+  }
+  try {
+    const map = content ? JSON.parse(content) : undefined;
+    // index maps with sections aren't emitted by webpack
+    return map && map.mappings !== undefined && map.sources ? map : undefined;
+  }
+  catch (e) {
+    return undefined;
+  }
+}
+
+// webpack://namespace/./src/a.js?query, ./node_modules/css-loader!./src/a.css and /abs/src/a.js all become src/a.js-like keys
+function resourceKey(name) {
+  return _.last(name.replace(/^webpack:\/\/[^/]*\//, '').split('!'))
+    .split('?')[0]
+    .replace(/^\.\//, '');
+}
+
+function createModuleLookup(modules) {
+  const byKey = {};
+  modules.forEach(m => {
+    byKey[resourceKey(m.name)] = m;
+    if (m.identifier) {
+      byKey[resourceKey(m.identifier)] = m;
+    }
+  });
+  return sourceName => byKey[resourceKey(sourceName)];
+}
+
+// code sizes of the asset's modules keyed by module id, modules in the asset that aren't found are left out
+// with a source map every module in the asset is measured, modules without code in the map were removed by the minifier
+function measureModules(assetFile, code, modules) {
+  const sizes = {};
+  const map = readSourceMap(assetFile, code);
+  if (map) {
+    modules.forEach(m => sizes[m.id] = {parsedSize: 0, gzipSize: 0});
+    const findModule = createModuleLookup(modules);
+    const moduleCode = {};
+    _.forEach(codeBySource(code, map), (sourceCode, source) => {
+      const m = findModule(source);
+      if (m) {
+        moduleCode[m.id] = (moduleCode[m.id] || '') + sourceCode;
+      }
+    });
+    _.forEach(moduleCode, (sourceCode, id) => sizes[id] = {
+      parsedSize: Buffer.byteLength(sourceCode),
+      gzipSize: gzipSize(sourceCode),
+    });
+    return sizes;
+  }
+  modules
+    .filter(m => m.source && code.includes(m.source))
+    .forEach(m => sizes[m.id] = {parsedSize: Buffer.byteLength(m.source), gzipSize: gzipSize(m.source)});
+  return sizes;
+}
+
+const measuredExtensions = ['.js', '.mjs', '.css'];
+
+// returns a copy of stats with parsedSize and gzipSize on assets, chunks and modules read from bundleDirectory (webpack's output.path)
+// assets that aren't in bundleDirectory and modules that aren't found in their assets keep only webpack's size
+// a module in more than one asset counts once, with its largest size
+function readBundleSizes(stats, bundleDirectory) {
+  stats = normalizeStats(stats);
+  const chunkIdsByFile = {};
+  stats.chunks.forEach(c => c.files.forEach(f => (chunkIdsByFile[f] = chunkIdsByFile[f] || []).push(c.id.toString())));
+  // indexed so each asset doesn't scan every module, positions keep the order of the stats
+  const modulesByChunkId = {};
+  const modulePositions = {};
+  stats.modules.forEach((m, i) => {
+    modulePositions[m.id] = i;
+    m.chunks.forEach(c => (modulesByChunkId[c] = modulesByChunkId[c] || []).push(m));
+  });
+
+  const moduleSizes = {};
+  const assets = stats.assets.map(asset => {
+    const assetFile = path.join(bundleDirectory, asset.name);
+    if (!fs.existsSync(assetFile)) {
+      return asset;
+    }
+    const content = fs.readFileSync(assetFile);
+    if (measuredExtensions.includes(path.extname(asset.name))) {
+      const assetChunkIds = (asset.chunks || []).map(String).concat(chunkIdsByFile[asset.name] || []);
+      const modules = _.sortBy(_.uniq(_.flatMap(_.uniq(assetChunkIds), c => modulesByChunkId[c] || [])), m => modulePositions[m.id]);
+      _.forEach(measureModules(assetFile, content.toString('utf8'), modules), (sizes, id) => {
+        if (!moduleSizes[id] || moduleSizes[id].parsedSize < sizes.parsedSize) {
+          moduleSizes[id] = sizes;
+        }
+      });
+    }
+    return Object.assign({}, asset, {parsedSize: content.length, gzipSize: gzipSize(content)});
+  });
+
+  const assetsByName = _.keyBy(assets, 'name');
+  const sumOfFiles = (files, property) => {
+    const measured = files.filter(f => path.extname(f) !== '.map' && assetsByName[f] && assetsByName[f][property] !== undefined);
+    return measured.length > 0 ? _.sumBy(measured, f => assetsByName[f][property]) : undefined;
+  };
+
+  const withSizes = Object.assign({}, stats, {
+    assets,
+    chunks: stats.chunks.map(c => Object.assign({}, c, {
+      parsedSize: sumOfFiles(c.files, 'parsedSize'),
+      gzipSize: sumOfFiles(c.files, 'gzipSize'),
+    })),
+    modules: stats.modules.map(m => Object.assign({}, m, moduleSizes[m.id])),
+  });
+  return markNormalized(withSizes);
+}
+
+// true if any asset was found in the bundle directory
+function hasBundleSizes(stats) {
+  return stats.assets.some(a => a.parsedSize !== undefined);
+}
+
+module.exports = {
+  readBundleSizes,
+  hasBundleSizes,
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+const _ = require('lodash');
+const {displaySize, sizeOf} = require('./size');
+const {chunkDisplayName} = require('./chunks');
+const {createDigraph, createCompilationClusters} = require('./nodes');
+const {loadBudget, checkBudget, highlightBudgetViolations} = require('./budget');
+const {
+  setNodeColors, hslToGraphvizHsv,
+  greenHue, yellowHue, purpleHue, blueHue,
+} = require('./colors');
+
+function chunkNodeId(chunkId) {
+  return `chunk_${chunkId}`;
+}
+
+// lazy loaded chunks aren't initial, edges to them are dashed
+function styleChunkEdge(edge, toChunk) {
+  edge.set('arrowsize', '.75');
+  edge.set('color', hslToGraphvizHsv([blueHue, 58, 45]));
+  if (!toChunk.initial) {
+    edge.set('style', 'dashed');
+  }
+}
+
+// one node per chunk instead of clusters of modules, for reviewing code splitting:
+// edges from chunk parents to children, and from entrypoints and named chunk groups to their chunks
+function buildChunkGraph(stats, options) {
+  const graph = createDigraph(stats.hash);
+  const clusterParent = createCompilationClusters(graph);
+  const chunksById = _.keyBy(stats.chunks, 'id');
+  const moduleCounts = _.countBy(_.flatMap(stats.modules, m => m.chunks));
+
+  stats.chunks.forEach(c => {
+    const node = clusterParent(c).addNode(chunkNodeId(c.id), []);
+    const flags = [c.entry ? '[entry]' : '', c.initial ? '[initial]' : ''].filter(f => f);
+    const moduleCount = moduleCounts[c.id] || 0;
+    const labels = [
+      [chunkDisplayName(c)].concat(flags).join(' '),
+      displaySize(sizeOf(c, options.sizeType) || 0),
+      `${moduleCount} ${moduleCount === 1 ? 'module' : 'modules'}`,
+    ];
+    if (c.files.length > 0) {
+      labels.push(c.files.map(f => path.basename(f)).join('\\n'));
+    }
+    if (options.showHashes && c.hash) {
+      labels.push(c.hash);
+    }
+    node.set('label', `{ ${labels.join('|')} }`);
+    node.set('shape', 'record');
+    node.set('labelloc', 'c');
+    setNodeColors(c.entry ? greenHue : c.initial ? yellowHue : purpleHue, node);
+  });
+
+  const addedEdges = {};
+  function addChunkEdge(fromId, toChunkId) {
+    const toChunk = chunksById[toChunkId];
+    const edgeKey = `${fromId}->${toChunkId}`;
+    if (!toChunk || addedEdges[edgeKey]) {
+      return;
+    }
+    addedEdges[edgeKey] = true;
+    styleChunkEdge(graph.addEdge(fromId, chunkNodeId(toChunkId), []), toChunk);
+  }
+
+  stats.chunks.forEach(c => {
+    (c.children || [])
+      .forEach(childId => addChunkEdge(chunkNodeId(c.id), childId));
+    (c.parents || [])
+      .filter(parentId => chunksById[parentId])
+      .forEach(parentId => addChunkEdge(chunkNodeId(parentId), c.id));
+  });
+
+  // webpack 4+ only, older stats have no chunk groups
+  function addChunkGroupNodes(groups, idPrefix, shape) {
+    _.forEach(groups, (group, name) => {
+      const chunkIds = (group.chunks || []).filter(id => chunksById[id]);
+      const node = clusterParent(chunksById[_.first(chunkIds)]).addNode(`${idPrefix}_${name}`, []);
+      node.set('label', name);
+      node.set('shape', shape);
+      node.set('margin', 0.15);
+      chunkIds.forEach(id => addChunkEdge(node.id, id));
+    });
+  }
+  addChunkGroupNodes(stats.entrypoints, 'entrypoint', 'rarrow');
+  // named chunk groups include entrypoints, the rest are named lazy chunks, i.e. import(/* webpackChunkName: "x" */)
+  addChunkGroupNodes(_.omit(stats.namedChunkGroups, Object.keys(stats.entrypoints)), 'chunkgroup', 'note');
+
+  if (options.budget) {
+    highlightBudgetViolations(graph, checkBudget(stats, loadBudget(options.budget, options.context), options));
+  }
+
+  return graph;
+}
+
+module.exports = {
+  buildChunkGraph,
+};
@@ -0,0 +1,70 @@
+const {displaySize, sizeOf} = require('./size');
+
+function parseClusterDetails(chunks, options) {
+  if (chunks.length === 1) {
+    return parseClusterDetailsFromOneChunk(chunks[0], options);
+  }
+  // remember multiple chunks = overlapping chunks
+  const parsedChunks = chunks.map(c => parseClusterDetailsFromOneChunk(c, options));
+  return {
+    graphId: parsedChunks.map(c => c.graphId).join(' & '),
+    // rebuild label so as not to include runtime/not & eager/lazy to avoid confusion in overlap visual groups
+    label: 'overlap:\n' + parsedChunks.map(c => c.nameForOverlap).join(' & '),
+
+    // some things we only want to show for overlap clusters
+    // other things we only want to show on chunk's cluster itself
+    // show bundle's attributes only on it's dedicated cluster (not overlap clusters)
+    isVisualOverlap: true,
+  };
+
+}
+
+function chunkDisplayName(chunk) {
+  if (chunk.names && chunk.names.length > 0) {
+    return chunk.names.join(',');
+  }
+  // if the chunk has no name(s) then use the chunk id
+  // example: aggressive merging plugin in webpack/webpack repo
+  // with multi-compiler stats ids are prefixed with the compilation's index, displayId is the id in its compilation
+  return chunk.displayId === undefined ? chunk.id : chunk.displayId;
+}
+
+// chunk names aren't unique across compilations of multi-compiler stats, text output that lists chunks of more than one compilation
+// prefixes them with the compilation's name, like the file names of assets, i.e. server/main
+function qualifiedChunkName(chunk) {
+  const name = chunkDisplayName(chunk).toString();
+  return chunk.compilation ? `${chunk.compilation}/${name}` : name;
+}
+
+function parseClusterDetailsFromOneChunk(chunk, options) {
+  const parsed = {
+    graphId: chunk.id,
+    label: chunkDisplayName(chunk),
+    nameForOverlap: chunkDisplayName(chunk),
+    isVisualOverlap: false,
+    files: chunk.files,
+  };
+  // chunk attributes explanation
+  // https://survivejs.com/webpack/building/bundle-splitting/#chunk-types-in-webpack
+  // chunk relationships are shown by the chunk graph, see chunk-graph.js
+  if (chunk.entry) {
+    parsed.label += ' [entry]';
+  }
+  if (chunk.initial) {
+    parsed.label += ' [initial]';
+  }
+  if (options.showSize && chunk.size) {
+    parsed.label += ` - ${displaySize(sizeOf(chunk, options.sizeType))}`;
+  }
+  if (options.showHashes && chunk.hash) {
+    parsed.label += `\n${chunk.hash}`;
+  }
+  return parsed;
+}
+
+module.exports = {
+  chunkDisplayName,
+  qualifiedChunkName,
+  parseClusterDetails,
+  parseClusterDetailsFromOneChunk,
+};
@@ -0,0 +1,44 @@
+const convert = require('color-convert');
+
+// COLORS:
+const hues = {
+  redHue: 0,
+  greenHue: 105,
+  orangeHue: 35,
+  turquoiseHue: 180,
+  blueHue: 225,
+  yellowHue: 60,
+  purpleHue: 260,
+  brownHue: 30,
+  magentaHue: 310,
+};
+
+function setNodeColors(fillColorHue, node) {
+  const fillColorHsl = [fillColorHue, 58, 85];
+  node.set('fillcolor', hslToGraphvizHsv(fillColorHsl));
+
+  const borderColorHsl = [fillColorHue, 58, 45];
+  node.set('color', hslToGraphvizHsv(borderColorHsl));
+
+  const textColorHsl = [fillColorHue, 95, 18];
+  node.set('fontcolor', hslToGraphvizHsv(textColorHsl));
+  node.set('style', 'filled');
+}
+
+function hslToGraphvizHsv(hsl) {
+  const hsv = convert.hsl.hsv(hsl);
+
+  // graphviz format for HSV:
+  // "H[, ]+S[, ]+V" where values are from 0 to 1
+  const formatted = [
+    hsv[0] / 360,
+    hsv[1] / 100,
+    hsv[2] / 100
+  ].join(',');
+  return formatted;
+}
+
+module.exports = Object.assign({
+  setNodeColors,
+  hslToGraphvizHsv,
+}, hues);
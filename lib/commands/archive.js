@@ -0,0 +1,63 @@
+const {listArchive, formatArchiveList, pruneArchive, removeArchivedBuild} = require('../archive');
+const {createLogger, exitWithError, resolveOutputDirectory} = require('./common');
+
+const list = {
+  command: 'list',
+  describe: 'List archived builds, oldest first',
+  builder: {
+    'json': {
+      default: false,
+      desc: 'Print index.json entries for scripts',
+    },
+  },
+  handler: argv => {
+    const index = listArchive(resolveOutputDirectory(argv));
+    console.log(argv.json ? JSON.stringify(index, null, 2) : formatArchiveList(index));
+  },
+};
+
+const prune = {
+  command: 'prune',
+  describe: 'Remove archived builds outside of --archive-keep and --archive-keep-since',
+  builder: {},
+  handler: argv => {
+    const log = createLogger(argv.quiet);
+    if (argv.archiveKeep === undefined && argv.archiveKeepSince === undefined) {
+      exitWithError(log, 'Pass --archive-keep and/or --archive-keep-since to choose which builds to keep');
+    }
+    try {
+      const removed = pruneArchive(resolveOutputDirectory(argv), argv);
+      log.info(`Removed ${removed.length} ${removed.length === 1 ? 'build' : 'builds'} from the archive`);
+    }
+    catch (e) {
+      exitWithError(log, e.message);
+    }
+  },
+};
+
+const remove = {
+  command: 'rm <hash>',
+  describe: 'Remove an archived build, hash is the directory name in output-folder/archive',
+  builder: {},
+  handler: argv => {
+    const log = createLogger(argv.quiet);
+    try {
+      removeArchivedBuild(resolveOutputDirectory(argv), argv.hash.toString());
+      log.info(`Removed ${argv.hash} from the archive`);
+    }
+    catch (e) {
+      exitWithError(log, e.message);
+    }
+  },
+};
+
+module.exports = {
+  command: 'archive <command>',
+  describe: 'List, prune and remove builds in output-folder/archive',
+  builder: yargs => yargs
+    .command(list)
+    .command(prune)
+    .command(remove),
+  // only reached when the command isn't one of the above
+  handler: argv => exitWithError(createLogger(argv.quiet), `Unknown archive command: ${argv.command}, use list, prune or rm`),
+};
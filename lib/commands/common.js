@@ -0,0 +1,82 @@
+// helpers shared by CLI commands, these log and exit on failure so don't use them from the node API
+const path = require('path');
+const {checkRenderer} = require('../render');
+const {readStatsFile} = require('../stats');
+const {readBundleSizes, hasBundleSizes} = require('../bundle-sizes');
+const createLogger = require('../log');
+
+// resolve files and write files relative to current working directory so we can make this a global command
+const dir = process.cwd();
+
+function exitWithError(log, message) {
+  log.error(message);
+  process.exit(1);
+}
+
+// svg, html, png and pdf need a renderer, see --renderer
+function requireRenderer(log, argv) {
+  const rendererError = checkRenderer(argv.format, argv.renderer);
+  if (rendererError) {
+    exitWithError(log, rendererError);
+  }
+}
+
+function loadStats(log, relativeStatsFile) {
+  const statsFile = path.resolve(dir, relativeStatsFile);
+  log.info(`Reading stats from ${relativeStatsFile}`);
+  try {
+    return {stats: readStatsFile(statsFile), statsFile};
+  }
+  catch (e) {
+    exitWithError(log, e.message);
+  }
+}
+
+// logs nothing with --json to keep JSON output clean
+function createCommandLogger(argv) {
+  return createLogger(argv.quiet || argv.json);
+}
+
+// parsed and gzip sizes from --bundle-dir, --size-type parsed and gzip need it
+// this throws instead of exiting so the graph command can keep watching
+function withBundleSizes(log, stats, argv) {
+  if (argv.sizeType !== 'stat' && !argv.bundleDir) {
+    throw new Error(`--size-type ${argv.sizeType} requires --bundle-dir`);
+  }
+  if (!argv.bundleDir) {
+    return stats;
+  }
+  log.info(`Reading emitted assets from ${argv.bundleDir}`);
+  const statsWithSizes = readBundleSizes(stats, path.resolve(dir, argv.bundleDir));
+  if (!hasBundleSizes(statsWithSizes)) {
+    log.warn(`None of the assets in the stats are in ${argv.bundleDir}, showing webpack's sizes`);
+  }
+  return statsWithSizes;
+}
+
+// --stats with sizes from --bundle-dir, for commands that report sizes
+function loadStatsWithSizes(log, argv) {
+  const {stats} = loadStats(log, argv.stats);
+  try {
+    return withBundleSizes(log, stats, argv);
+  }
+  catch (e) {
+    exitWithError(log, e.message);
+  }
+}
+
+function resolveOutputDirectory(argv) {
+  return path.join(dir, argv.outputFolder);
+}
+
+module.exports = {
+  dir,
+  createLogger,
+  exitWithError,
+  requireRenderer,
+  loadStats,
+  createCommandLogger,
+  withBundleSizes,
+  loadStatsWithSizes,
+  resolveOutputDirectory,
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const {buildDiffGraph, formatDiffSummary} = require('../diff');
+const {writeDotFiles} = require('../output');
+const {dir, createLogger, exitWithError, requireRenderer, loadStats, resolveOutputDirectory} = require('./common');
+
+// accept a stats file or the hash of an archived build, i.e. output-folder/archive/<hash>/stats.json
+function resolveStatsArgument(argv, statsOrHash) {
+  if (fs.existsSync(path.resolve(dir, statsOrHash))) {
+    return statsOrHash;
+  }
+  const archivedStatsFile = path.join(argv.outputFolder, 'archive', statsOrHash, 'stats.json');
+  if (fs.existsSync(path.resolve(dir, archivedStatsFile))) {
+    return archivedStatsFile;
+  }
+  // let loadStats report the missing file
+  return statsOrHash;
+}
+
+module.exports = {
+  command: 'diff <old> <new>',
+  describe: 'Compare two builds, pass stats files or hashes of archived builds. Writes graph files to output-folder/diff',
+  builder: {},
+  handler: argv => {
+    const log = createLogger(argv.quiet);
+    requireRenderer(log, argv);
+
+    const oldStats = loadStats(log, resolveStatsArgument(argv, argv.old.toString())).stats;
+    const newStats = loadStats(log, resolveStatsArgument(argv, argv.new.toString())).stats;
+
+    const outputDirectory = path.join(resolveOutputDirectory(argv), 'diff');
+    try {
+      // throws on invalid --focus, --include, --exclude and --budget like the graph command
+      const {graph, diff} = buildDiffGraph(oldStats, newStats, argv);
+      // print the summary even with quiet, it's the point of this command
+      console.log(formatDiffSummary(diff));
+
+      log.info(`Writing diff files to ${path.join(argv.outputFolder, 'diff')}`);
+      writeDotFiles(graph, outputDirectory, newStats, argv);
+    }
+    catch (e) {
+      exitWithError(log, e.message);
+    }
+  },
+};
@@ -0,0 +1,24 @@
+const {findDuplicates, formatDuplicates} = require('../duplicates');
+const {createCommandLogger, loadStatsWithSizes} = require('./common');
+
+module.exports = {
+  command: 'duplicates',
+  describe: 'List npm packages bundled more than once, as different versions or copied into several chunks, with the bytes wasted',
+  builder: {
+    'stats': {
+      default: 'stats.json',
+      desc: 'webpack stats file',
+    },
+    'json': {
+      default: false,
+      desc: 'Print results as JSON for scripts',
+    },
+  },
+  handler: argv => {
+    const log = createCommandLogger(argv);
+    const stats = loadStatsWithSizes(log, argv);
+
+    const results = findDuplicates(stats, argv);
+    console.log(argv.json ? JSON.stringify(results, null, 2) : formatDuplicates(results));
+  },
+};
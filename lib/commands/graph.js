@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const {writeGraphFiles} = require('../output');
+const {isBigGraph, resolveCollapse, autoCollapseMessage} = require('../graph');
+const {readStatsFile} = require('../stats');
+const {loadBudget, checkBudget, formatViolations, writeBudgetReports} = require('../budget');
+const {checkCycles, formatCycles} = require('../cycles');
+const {readPreviousArchivedStats} = require('../archive');
+const {startPreviewServer} = require('../serve');
+const {dir, createLogger, exitWithError, requireRenderer, withBundleSizes, resolveOutputDirectory} = require('./common');
+
+const defaultPort = 8080;
+
+// reads stats and writes all files once, throws on errors
+// returns true if --check or --fail-on-new-cycles failed
+function generate(argv, log, relativeStatsFile) {
+  const statsFile = path.resolve(dir, relativeStatsFile);
+  log.info(`Reading stats from ${relativeStatsFile}`);
+  const stats = withBundleSizes(log, readStatsFile(statsFile), argv);
+  if (isBigGraph(stats, argv)) {
+    log.warn(`Detected a large graph with ${stats.modules.length} modules, edges will be curvy instead of straight.`);
+  }
+  const collapse = resolveCollapse(stats, argv);
+  const collapseMessage = autoCollapseMessage(stats, collapse, argv);
+  if (collapseMessage) {
+    log.warn(collapseMessage);
+  }
+
+  let budget;
+  if (argv.check || argv.budget) {
+    if (!argv.budget) {
+      throw new Error('--check requires --budget');
+    }
+    budget = loadBudget(argv.budget);
+  }
+
+  const outputDirectory = resolveOutputDirectory(argv);
+  // compare with the archive before this build is added to it
+  const cycleCheck = argv.cycles
+    ? checkCycles(stats, readPreviousArchivedStats(outputDirectory, stats.hash))
+    : undefined;
+
+  log.info(`Writing files to ${argv.outputFolder}`);
+  const files = writeGraphFiles(stats, outputDirectory, Object.assign({}, argv, {statsFile, budget, collapse}));
+  if (files.archive) {
+    log.info(`Wrote archive files to ${files.archive}`);
+  }
+
+  let failed = false;
+  if (cycleCheck) {
+    console.log(formatCycles(cycleCheck.cycles, cycleCheck.newCycles));
+    if (argv.failOnNewCycles && !cycleCheck.newCycles) {
+      log.warn('No previous build in the archive to compare circular dependencies with');
+    }
+    failed = argv.failOnNewCycles && cycleCheck.newCycles && cycleCheck.newCycles.length > 0;
+  }
+
+  if (argv.check) {
+    const results = checkBudget(stats, budget, argv);
+    // print even with quiet, it's the point of --check
+    console.log(formatViolations(results));
+    const reports = writeBudgetReports(results, outputDirectory);
+    log.info(`Wrote budget reports to ${reports.json} and ${reports.junit}`);
+    failed = failed || results.some(r => !r.passed);
+  }
+  return failed;
+}
+
+// regenerate when the stats file changes, errors are logged and the next change is waited for
+// polling with watchFile works with editors and tools that replace the file instead of writing to it
+function watch(argv, log, relativeStatsFile, onGenerated) {
+  const statsFile = path.resolve(dir, relativeStatsFile);
+  const regenerate = () => {
+    try {
+      generate(argv, log, relativeStatsFile);
+      onGenerated();
+    }
+    catch (e) {
+      // i.e. webpack is still writing the stats file
+      log.error(e.message);
+    }
+  };
+  regenerate();
+  fs.watchFile(statsFile, {interval: 500}, (current, previous) => {
+    if (current.mtime.getTime() !== previous.mtime.getTime()) {
+      regenerate();
+    }
+  });
+  log.info(`Watching ${relativeStatsFile} for changes`);
+}
+
+module.exports = {
+  command: ['graph [stats]', '*'],
+  describe: 'Generate graph.dot, graph.svg and interactive.html from a stats file (default: stats.json)',
+  builder: {
+    'watch': {
+      default: false,
+      desc: 'Regenerate files whenever the stats file changes.',
+    },
+    'serve': {
+      desc: `Serve output-folder on http://localhost:<port> (default ${defaultPort}) and reload open pages after each regeneration, implies --watch.`,
+    },
+  },
+  handler: argv => {
+    const log = createLogger(argv.quiet);
+    requireRenderer(log, argv);
+    // accept passed stats.json file or look for stats.json default
+    const relativeStatsFile = argv.stats || 'stats.json';
+
+    if (!argv.watch && argv.serve === undefined) {
+      let failed;
+      try {
+        failed = generate(argv, log, relativeStatsFile);
+      }
+      catch (e) {
+        exitWithError(log, e.message);
+      }
+      if (failed) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (argv.serve === undefined) {
+      watch(argv, log, relativeStatsFile, () => undefined);
+      return;
+    }
+    const port = argv.serve === true ? defaultPort : parseInt(argv.serve, 10);
+    if (isNaN(port)) {
+      exitWithError(log, `--serve port must be a number: ${argv.serve}`);
+    }
+    const server = startPreviewServer(resolveOutputDirectory(argv), port, () => {
+      // print even with quiet, there's no other way to find the page
+      console.log(`Serving ${argv.outputFolder} on http://localhost:${port}/ (archive: http://localhost:${port}/archive/)`);
+      watch(argv, log, relativeStatsFile, () => server.reload());
+    });
+    server.on('error', e => exitWithError(log, e.message));
+  },
+};
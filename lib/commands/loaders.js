@@ -0,0 +1,24 @@
+const {summarizeLoaders, formatLoaderSummary} = require('../loaders');
+const {createCommandLogger, loadStatsWithSizes} = require('./common');
+
+module.exports = {
+  command: 'loaders',
+  describe: 'List the loaders used by modules, with the number of modules and bytes each loader touches',
+  builder: {
+    'stats': {
+      default: 'stats.json',
+      desc: 'webpack stats file',
+    },
+    'json': {
+      default: false,
+      desc: 'Print results as JSON for scripts',
+    },
+  },
+  handler: argv => {
+    const log = createCommandLogger(argv);
+    const stats = loadStatsWithSizes(log, argv);
+
+    const results = summarizeLoaders(stats, argv);
+    console.log(argv.json ? JSON.stringify(results, null, 2) : formatLoaderSummary(results));
+  },
+};
@@ -0,0 +1,31 @@
+const {hasExportUsage, unusedExports, formatUnusedExports} = require('../exports');
+const {createCommandLogger, exitWithError, loadStats} = require('./common');
+
+module.exports = {
+  command: 'unused-exports',
+  describe: 'List modules with the most unused exports, to find modules that block tree shaking',
+  builder: {
+    'stats': {
+      default: 'stats.json',
+      desc: 'webpack stats file',
+    },
+    'top': {
+      default: 20,
+      desc: 'Number of modules to list',
+    },
+    'json': {
+      default: false,
+      desc: 'Print results as JSON for scripts',
+    },
+  },
+  handler: argv => {
+    const log = createCommandLogger(argv);
+    const {stats} = loadStats(log, argv.stats);
+
+    if (!hasExportUsage(stats)) {
+      exitWithError(log, 'No export usage in stats, build with optimization.usedExports and include providedExports and usedExports in stats, i.e. webpack --json --display-provided-exports --display-used-exports');
+    }
+    const results = unusedExports(stats);
+    console.log(argv.json ? JSON.stringify(results, null, 2) : formatUnusedExports(results, argv.top));
+  },
+};
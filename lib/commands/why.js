@@ -0,0 +1,27 @@
+const {whyModule, formatWhy} = require('../why');
+const {createCommandLogger, exitWithError, loadStats} = require('./common');
+
+module.exports = {
+  command: 'why <module>',
+  describe: 'Print the shortest import chain from each entry module to modules matching a glob or /regex/',
+  builder: {
+    'stats': {
+      default: 'stats.json',
+      desc: 'webpack stats file',
+    },
+    'json': {
+      default: false,
+      desc: 'Print results as JSON for scripts',
+    },
+  },
+  handler: argv => {
+    const log = createCommandLogger(argv);
+    const {stats} = loadStats(log, argv.stats);
+
+    const results = whyModule(stats, argv.module);
+    if (results.length === 0) {
+      exitWithError(log, `No modules match: ${argv.module}`);
+    }
+    console.log(argv.json ? JSON.stringify(results, null, 2) : formatWhy(results));
+  },
+};
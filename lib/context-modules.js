@@ -0,0 +1,62 @@
+const _ = require('lodash');
+
+// context modules are created for require.context() and for requests with expressions, i.e. import(`./locale/${lang}`)
+// they map each file in a directory that matches a regex to a module, their name is like:
+// ./src/images sync ^\.\/.*\.png$ (webpack 3 leaves out sync)
+// ./src/pages/ lazy nonrecursive ^\.\/.*\.js$ include: \.js$ chunkName: page-[request] namespace object (webpack 5)
+const modes = ['sync', 'lazy', 'lazy-once', 'eager', 'weak', 'async-weak'];
+
+// require.context, import() context lazy, cjs require context, amd require context, etc
+// context element is the reason of each file the context resolves to, not of the context itself
+function isContextReason(reason) {
+  return reason.type.includes('context') && reason.type !== 'context element';
+}
+
+function isContextElementReason(reason) {
+  return reason.type === 'context element';
+}
+
+// returns {directory, mode, recursive, regExp, include, exclude, chunkName} or undefined if m isn't a context module
+function parseContextModule(m) {
+  const contextReason = _.find(m.reasons, isContextReason);
+  const nameHasMode = new RegExp(`^\\S+ (${modes.join('|')})( |$)`).test(m.name);
+  if (!contextReason && !nameHasMode) {
+    return undefined;
+  }
+  const parts = m.name
+    .replace(/ (strict )?namespace object$/, '')
+    .match(new RegExp(`^(\\S+?)\\/? (?:(${modes.join('|')})(?: |$))?(nonrecursive(?: |$))?(.*)$`));
+  if (!parts) {
+    return undefined;
+  }
+  const options = parts[4].split(/ (include|exclude|chunkName|referencedExports): /);
+  const option = name => options[options.indexOf(name) + 1];
+  // webpack 3 names leave out sync, import() reasons end with the mode
+  const reasonMode = contextReason && _.last(contextReason.type.split(' '));
+  return {
+    directory: parts[1],
+    mode: parts[2] || (modes.includes(reasonMode) ? reasonMode : 'sync'),
+    recursive: !parts[3],
+    regExp: options[0],
+    include: options.includes('include') ? option('include') : undefined,
+    exclude: options.includes('exclude') ? option('exclude') : undefined,
+    chunkName: options.includes('chunkName') ? option('chunkName') : undefined,
+  };
+}
+
+// directory, /regex/ and mode on separate lines
+function contextDisplayText(context) {
+  return [
+    `${context.directory}/`,
+    context.regExp ? `/${context.regExp}/` : '',
+    context.recursive ? context.mode : `${context.mode}, nonrecursive`,
+  ]
+    .filter(line => line)
+    .join('\n');
+}
+
+module.exports = {
+  parseContextModule,
+  contextDisplayText,
+  isContextElementReason,
+};
@@ -0,0 +1,166 @@
+const _ = require('lodash');
+const {parseModule} = require('./modules');
+const {normalizeStats} = require('./normalize');
+
+// edges go from issuer to module, like the arrows in the graph
+function createSuccessors(parsedModules) {
+  const modulesById = _.keyBy(parsedModules, 'graphId');
+  const successors = {};
+  parsedModules.forEach(m => m.issuers
+    .filter(issuer => modulesById[issuer.graphId])
+    .forEach(issuer => (successors[issuer.graphId] = successors[issuer.graphId] || []).push(m.graphId)));
+  return id => successors[id] || [];
+}
+
+// tarjan's algorithm, iterative so deep import chains don't overflow the stack
+function stronglyConnectedComponents(ids, successors) {
+  let nextIndex = 0;
+  const indexes = {};
+  const lowlinks = {};
+  const onStack = {};
+  const stack = [];
+  const components = [];
+
+  function visit(id) {
+    indexes[id] = lowlinks[id] = nextIndex++;
+    stack.push(id);
+    onStack[id] = true;
+  }
+
+  ids
+    .filter(root => indexes[root] === undefined)
+    .forEach(root => {
+      visit(root);
+      const work = [{id: root, next: 0}];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const edges = successors(frame.id);
+        if (frame.next < edges.length) {
+          const to = edges[frame.next++];
+          if (indexes[to] === undefined) {
+            visit(to);
+            work.push({id: to, next: 0});
+          }
+          else if (onStack[to]) {
+            lowlinks[frame.id] = Math.min(lowlinks[frame.id], indexes[to]);
+          }
+          continue;
+        }
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].id;
+          lowlinks[parent] = Math.min(lowlinks[parent], lowlinks[frame.id]);
+        }
+        if (lowlinks[frame.id] === indexes[frame.id]) {
+          const component = [];
+          let id;
+          do {
+            id = stack.pop();
+            onStack[id] = false;
+            component.push(id);
+          } while (id !== frame.id);
+          components.push(component);
+        }
+      }
+    });
+  return components;
+}
+
+// components with more than one module are cycles, returns a map of module graphId to the index of its cycle
+function findCycleComponents(parsedModules) {
+  const components = stronglyConnectedComponents(parsedModules.map(m => m.graphId), createSuccessors(parsedModules))
+    .filter(component => component.length > 1);
+  const componentsById = {};
+  components.forEach((component, index) => component.forEach(id => componentsById[id] = index));
+  return componentsById;
+}
+
+// shortest way around the cycle from start back to start, staying inside the component
+function cyclePath(start, inComponent, successors) {
+  const previous = {};
+  let current = [start];
+  while (current.length > 0) {
+    const next = [];
+    for (const id of current) {
+      for (const to of successors(id).filter(inComponent)) {
+        if (to === start) {
+          const path = [start];
+          for (let step = id; step !== start; step = previous[step]) {
+            path.unshift(step);
+          }
+          path.unshift(start);
+          return path;
+        }
+        if (previous[to] === undefined) {
+          previous[to] = id;
+          next.push(to);
+        }
+      }
+    }
+    current = next;
+  }
+  return [start];
+}
+
+// one result per strongly connected component, modules are matched by name across builds so the key is the sorted names
+// path is one ordered cycle through the component, starting and ending at its first module by name
+function findCycles(stats) {
+  const parsedModules = normalizeStats(stats).modules.map(m => parseModule(m));
+  const modulesById = _.keyBy(parsedModules, 'graphId');
+  const successors = createSuccessors(parsedModules);
+  const componentsById = findCycleComponents(parsedModules);
+
+  return _.chain(componentsById)
+    .keys()
+    .groupBy(id => componentsById[id])
+    .values()
+    .map(ids => {
+      const names = ids.map(id => modulesById[id].name).sort();
+      const start = _.minBy(ids, id => modulesById[id].name);
+      const inComponent = id => componentsById[id] === componentsById[start];
+      return {
+        key: names.join('\n'),
+        modules: names,
+        path: cyclePath(start, inComponent, successors).map(id => modulesById[id].name),
+      };
+    })
+    .sortBy(cycle => cycle.path[0])
+    .value();
+}
+
+function findNewCycles(cycles, previousCycles) {
+  const previousKeys = _.keyBy(previousCycles, 'key');
+  return cycles.filter(cycle => !previousKeys[cycle.key]);
+}
+
+// previousStats are optional, without them newCycles is undefined
+function checkCycles(stats, previousStats) {
+  const cycles = findCycles(stats);
+  return {
+    cycles,
+    newCycles: previousStats ? findNewCycles(cycles, findCycles(previousStats)) : undefined,
+  };
+}
+
+function formatCycles(cycles, newCycles) {
+  if (cycles.length === 0) {
+    return 'No circular dependencies';
+  }
+  const newKeys = _.keyBy(newCycles || [], 'key');
+  const summary = newCycles ? `, ${newCycles.length} new since the previous build` : '';
+  return [`${cycles.length} circular ${cycles.length === 1 ? 'dependency' : 'dependencies'}${summary}:`]
+    .concat(cycles.map(cycle => {
+      const others = cycle.modules.length - cycle.path.length + 1;
+      const more = others > 0 ? ` (and ${others} more ${others === 1 ? 'module' : 'modules'} in this cycle)` : '';
+      return `  ${newKeys[cycle.key] ? '[new] ' : ''}${cycle.path.join(' -> ')}${more}`;
+    }))
+    .join('\n');
+}
+
+module.exports = {
+  findCycleComponents,
+  findCycles,
+  findNewCycles,
+  checkCycles,
+  formatCycles,
+};
@@ -0,0 +1,224 @@
+const _ = require('lodash');
+const {buildGraph, findModuleNodes, createStyledCluster, escapeRecordText, escapeLabelText} = require('./graph');
+const {parseModule, createModuleParser} = require('./modules');
+const {qualifiedChunkName} = require('./chunks');
+const {displaySize} = require('./size');
+const {resolveOptions} = require('./options');
+const {normalizeStats} = require('./normalize');
+const {
+  setNodeColors, hslToGraphvizHsv,
+  redHue, greenHue, orangeHue, blueHue, purpleHue,
+} = require('./colors');
+
+// module ids and chunk ids aren't stable across builds, so modules are matched by name and chunks by display name
+// with multi-compiler stats the same module is in each compilation, so modules are matched within their compilation
+function moduleKey(m) {
+  return `${m.compilation || ''}\n${m.name}`;
+}
+
+function moduleChunkNames(m, chunksById) {
+  return m.chunks
+    .map(id => chunksById[id] ? qualifiedChunkName(chunksById[id]) : id.toString())
+    .sort();
+}
+
+// strip hashes from asset names so i.e. app.1a2b3c4d.js matches across builds
+function assetKey(name) {
+  return name.replace(/[.-][0-9a-f]{8,}(?=\.)/g, '');
+}
+
+function diffSizes(oldItems, newItems, key) {
+  const oldByKey = _.keyBy(oldItems, key);
+  const newByKey = _.keyBy(newItems, key);
+  return _.union(Object.keys(oldByKey), Object.keys(newByKey))
+    .map(name => ({
+      name,
+      oldSize: oldByKey[name] ? oldByKey[name].size : undefined,
+      newSize: newByKey[name] ? newByKey[name].size : undefined,
+    }));
+}
+
+function diffStats(oldStats, newStats) {
+  oldStats = normalizeStats(oldStats);
+  newStats = normalizeStats(newStats);
+  const oldChunksById = _.keyBy(oldStats.chunks, 'id');
+  const newChunksById = _.keyBy(newStats.chunks, 'id');
+  const oldModulesByKey = _.keyBy(oldStats.modules, moduleKey);
+  const newModulesByKey = _.keyBy(newStats.modules, moduleKey);
+
+  const modules = {
+    added: newStats.modules.filter(m => !oldModulesByKey[moduleKey(m)]),
+    removed: oldStats.modules.filter(m => !newModulesByKey[moduleKey(m)]),
+    resized: [],
+    moved: [],
+  };
+  newStats.modules
+    .filter(m => oldModulesByKey[moduleKey(m)])
+    .forEach(m => {
+      const oldModule = oldModulesByKey[moduleKey(m)];
+      if (oldModule.size !== m.size) {
+        modules.resized.push({id: m.id, name: m.name, oldSize: oldModule.size, newSize: m.size});
+      }
+      const oldChunks = moduleChunkNames(oldModule, oldChunksById);
+      const newChunks = moduleChunkNames(m, newChunksById);
+      if (!_.isEqual(oldChunks, newChunks)) {
+        modules.moved.push({id: m.id, name: m.name, oldChunks, newChunks});
+      }
+    });
+
+  return {
+    oldHash: oldStats.hash,
+    newHash: newStats.hash,
+    modules,
+    chunks: diffSizes(oldStats.chunks, newStats.chunks, qualifiedChunkName),
+    assets: diffSizes(oldStats.assets, newStats.assets, a => assetKey(a.name)),
+  };
+}
+
+function displaySizeChange(oldSize, newSize) {
+  const delta = newSize - oldSize;
+  return (delta < 0 ? '-' : '+') + displaySize(Math.abs(delta));
+}
+
+// unchanged .js modules are pale green and cycles have thick borders, added modules get a vivid fill and a double border
+function styleAdded(node) {
+  node.set('fillcolor', hslToGraphvizHsv([greenHue, 85, 62]));
+  node.set('color', hslToGraphvizHsv([greenHue, 85, 28]));
+  node.set('fontcolor', hslToGraphvizHsv([greenHue, 95, 12]));
+  node.set('style', 'filled');
+  node.set('peripheries', 2);
+}
+
+function styleRemoved(node) {
+  setNodeColors(redHue, node);
+  node.set('style', 'filled,dashed');
+}
+
+function styleResized(node, change) {
+  setNodeColors(change.newSize > change.oldSize ? orangeHue : blueHue, node);
+  node.set('xlabel', displaySizeChange(change.oldSize, change.newSize));
+}
+
+// applied after the other styles so a module that moved and changed size shows both
+// nodes are every reference to the same node id, see findNodes, only one of them has the tooltip from buildGraph
+// collapsed nodes name the module that moved, the module's own node has its identifier in the tooltip already
+function styleMoved(nodes, move, collapsed) {
+  const moved = `${collapsed ? `${escapeLabelText(move.name)} ` : ''}moved from ${move.oldChunks.join(' & ')} to ${move.newChunks.join(' & ')}`;
+  const tooltip = _.find(nodes.map(node => node.get('tooltip')));
+  nodes.forEach(node => {
+    node.set('color', hslToGraphvizHsv([purpleHue, 58, 45]));
+    node.set('penwidth', 3);
+    node.set('tooltip', tooltip ? `${tooltip}\n${moved}` : moved);
+  });
+}
+
+// one graph of the new build with changes styled, removed modules are added to their own cluster
+// returns the graph and the diff it was built from
+function buildDiffGraph(oldStats, newStats, options) {
+  oldStats = normalizeStats(oldStats);
+  newStats = normalizeStats(newStats);
+  options = resolveOptions(options);
+  const diff = diffStats(oldStats, newStats);
+  // changes are styled on module nodes, so always use the modules view
+  const graph = buildGraph(newStats, Object.assign({}, options, {view: 'modules'}));
+  graph.set('label', `${oldStats.hash} -> ${newStats.hash}`);
+
+  // changes of modules in collapsed packages and directories are styled on the collapsed node
+  const newModulesById = _.keyBy(newStats.modules, m => m.id.toString());
+  const changedNodes = id => findModuleNodes(graph, parseModule(newModulesById[id.toString()]));
+  diff.modules.added.forEach(m => changedNodes(m.id).forEach(styleAdded));
+  // a collapsed node shows the size change of all of its modules
+  const resizedByNodeId = {};
+  diff.modules.resized.forEach(change => changedNodes(change.id).forEach(node => {
+    const resized = resizedByNodeId[node.id] = resizedByNodeId[node.id] || {nodes: [], changes: {}};
+    resized.nodes.push(node);
+    resized.changes[change.id] = change;
+  }));
+  _.forEach(resizedByNodeId, resized => {
+    const changes = _.values(resized.changes);
+    const total = {oldSize: _.sumBy(changes, 'oldSize'), newSize: _.sumBy(changes, 'newSize')};
+    resized.nodes.forEach(node => styleResized(node, total));
+  });
+  diff.modules.moved.forEach(move => {
+    const nodes = changedNodes(move.id);
+    if (nodes.length > 0) {
+      styleMoved(nodes, move, nodes[0].id !== move.id.toString());
+    }
+  });
+
+  if (diff.modules.removed.length > 0) {
+    const newModulesByKey = _.keyBy(newStats.modules, moduleKey);
+    const oldModulesById = _.keyBy(oldStats.modules, 'id');
+    const removedIds = _.keyBy(diff.modules.removed, 'id');
+    const removedGraphId = id => `removed_${id}`;
+    // issuers of removed modules are in the old build, point edges at the same modules in the new graph
+    const resolveIssuer = id => {
+      if (removedIds[id]) {
+        return removedGraphId(id);
+      }
+      const issuer = oldModulesById[id] && newModulesByKey[moduleKey(oldModulesById[id])];
+      return issuer ? issuer.id.toString() : undefined;
+    };
+
+    const cluster = createStyledCluster(graph, {
+      graphId: 'removed',
+      label: 'removed modules',
+      isVisualOverlap: true,
+    }, options);
+    const parseModule = createModuleParser(oldStats.modules, options);
+    diff.modules.removed.forEach(removed => {
+      const m = parseModule(removed);
+      const node = cluster.addNode(removedGraphId(removed.id), []);
+      // labels of context modules and loaders have characters that dot escapes, like in buildGraph
+      node.set('label', options.showSize ? `{ ${escapeRecordText(m.label)}|${displaySize(m.size)} }` : escapeLabelText(m.label));
+      node.set('shape', options.showSize ? 'record' : 'rect');
+      node.set('tooltip', escapeLabelText(m.identifier));
+      styleRemoved(node);
+      m.issuers
+        .map(issuer => resolveIssuer(issuer.graphId))
+        .filter(id => id)
+        .forEach(id => {
+          const edge = graph.addEdge(id, node.id, []);
+          edge.set('arrowsize', '.75');
+          edge.set('style', 'dashed');
+          edge.set('color', hslToGraphvizHsv([redHue, 58, 45]));
+        });
+    });
+  }
+
+  return {graph, diff};
+}
+
+function formatSizeChanges(title, changes) {
+  const lines = changes
+    .filter(c => c.oldSize !== c.newSize)
+    .map(c => {
+      if (c.oldSize === undefined) {
+        return `  + ${c.name}: ${displaySize(c.newSize)} (added)`;
+      }
+      if (c.newSize === undefined) {
+        return `  - ${c.name}: ${displaySize(c.oldSize)} (removed)`;
+      }
+      return `  ${c.name}: ${displaySize(c.oldSize)} -> ${displaySize(c.newSize)} (${displaySizeChange(c.oldSize, c.newSize)})`;
+    });
+  return [`${title}:`].concat(lines.length > 0 ? lines : ['  no changes']);
+}
+
+// text summary of size changes per chunk and per asset plus module change counts
+function formatDiffSummary(diff) {
+  const m = diff.modules;
+  return [`Comparing ${diff.oldHash} -> ${diff.newHash}`]
+    .concat(formatSizeChanges('chunks', diff.chunks))
+    .concat(formatSizeChanges('assets', diff.assets))
+    .concat([
+      'modules:',
+      `  ${m.added.length} added, ${m.removed.length} removed, ${m.resized.length} changed size, ${m.moved.length} moved to a different chunk`,
+    ])
+    .join('\n');
+}
+
+module.exports = {
+  diffStats,
+  buildDiffGraph,
+  formatDiffSummary,
+};
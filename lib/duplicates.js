@@ -0,0 +1,88 @@
+const _ = require('lodash');
+const {parseModule} = require('./modules');
+const {qualifiedChunkName} = require('./chunks');
+const {displaySize, sizeOf} = require('./size');
+const {normalizeStats} = require('./normalize');
+const {createPackageVersionResolver} = require('./packages');
+
+// a package is bundled more than once when it's installed in more than one node_modules directory (usually different versions)
+// or when its modules are copied into more than one chunk, i.e. several async chunks that don't share a common chunk
+// a copy is the package's modules from one directory in one chunk, modules are matched across copies by their package relative path, i.e. lodash/map.js
+// only files that are in more than one copy are repeated, a package with lodash/map.js in one chunk and lodash/filter.js in another isn't a duplicate
+// every placement of a repeated file but its largest is wasted
+// with multi-compiler stats each compilation is its own bundle, only copies in the same compilation count
+function findDuplicates(stats, options) {
+  stats = normalizeStats(stats);
+  options = options || {};
+  const chunksById = _.keyBy(stats.chunks, 'id');
+  const resolvePackageVersion = createPackageVersionResolver(stats, options);
+  const size = m => sizeOf(m, options.sizeType);
+
+  const results = _.chain(stats.modules)
+    .map(m => parseModule(m))
+    .filter(m => m.packageDetails.name && m.chunks.length > 0)
+    .groupBy(m => `${m.compilation || ''}\n${m.packageDetails.name}`)
+    .map(modules => {
+      const placements = _.flatMap(modules, m => m.chunks.map(chunkId => ({m, chunkId})));
+      const repeatedFiles = _.chain(placements)
+        .groupBy(p => p.m.packageDetails.filePath)
+        .pickBy(samePath => samePath.length > 1)
+        .value();
+      const allCopies = _.chain(placements)
+        .groupBy(p => `${p.m.compilation || ''}\n${p.m.packageDetails.directory}\n${p.chunkId}`)
+        .values()
+        .map(copy => ({
+          directory: copy[0].m.packageDetails.directory,
+          version: resolvePackageVersion(copy[0].m.packageDetails),
+          chunk: chunksById[copy[0].chunkId] ? qualifiedChunkName(chunksById[copy[0].chunkId]) : copy[0].chunkId.toString(),
+          size: _.sumBy(copy, p => size(p.m)),
+          repeated: copy.some(p => repeatedFiles[p.m.packageDetails.filePath]),
+        }))
+        .value();
+      // each installed version is a copy of its own, otherwise only copies with a repeated file count
+      const installedTwice = _.uniqBy(allCopies, 'directory').length > 1;
+      const copies = allCopies
+        .filter(c => c.repeated || installedTwice)
+        .map(c => _.omit(c, 'repeated'));
+      return {
+        name: modules[0].packageDetails.name,
+        compilation: modules[0].compilation,
+        versions: _.uniq(copies.map(c => c.version).filter(v => v)).sort(),
+        directories: _.uniq(copies.map(c => c.directory)).sort(),
+        chunks: _.uniq(copies.map(c => c.chunk)).sort(),
+        copies,
+        files: _.keys(repeatedFiles).sort(),
+        moduleIds: modules.map(m => m.graphId),
+        size: _.sumBy(copies, 'size'),
+        wasted: _.sumBy(_.values(repeatedFiles), samePath => _.sumBy(samePath, p => size(p.m)) - _.max(samePath.map(p => size(p.m)))),
+      };
+    })
+    .filter(result => result.directories.length > 1 || result.files.length > 0)
+    .value();
+  return _.orderBy(results, ['wasted', 'name'], ['desc', 'asc']);
+}
+
+function formatDuplicates(results) {
+  if (results.length === 0) {
+    return 'No duplicate packages';
+  }
+  const wasted = _.sumBy(results, 'wasted');
+  return [`${results.length} duplicate ${results.length === 1 ? 'package' : 'packages'}, ${displaySize(wasted)} wasted:`]
+    .concat(_.flatMap(results, r => {
+      const versions = r.versions.length > 1 ? `${r.versions.length} versions (${r.versions.join(', ')}), ` : '';
+      return [`  ${r.name}: ${versions}${r.copies.length} copies in ${r.chunks.join(', ')}, ${displaySize(r.wasted)} wasted`]
+        .concat(_.chain(r.copies)
+          .groupBy('directory')
+          .map((copies, directory) => {
+            const version = copies[0].version ? `@${copies[0].version}` : '';
+            return `    ${directory}${version} in ${copies.map(c => `${c.chunk} (${displaySize(c.size)})`).join(', ')}`;
+          })
+          .value());
+    }))
+    .join('\n');
+}
+
+module.exports = {
+  findDuplicates,
+  formatDuplicates,
+};
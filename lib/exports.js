@@ -0,0 +1,48 @@
+const _ = require('lodash');
+const {parseModule, isExportUsed} = require('./modules');
+const {normalizeStats} = require('./normalize');
+
+// usedExports is only in stats when webpack analyzed usage (optimization.usedExports) and stats include it
+function hasExportUsage(stats) {
+  return normalizeStats(stats).modules
+    .some(m => m.usedExports !== undefined && m.usedExports !== null);
+}
+
+// modules with provided exports that aren't used, most unused first
+// modules that keep unused exports are often side-effectful modules that block tree shaking
+function unusedExports(stats) {
+  const results = normalizeStats(stats).modules
+    .map(m => parseModule(m))
+    .filter(m => m.providedExports.length > 0 && m.usedExports !== null)
+    .map(m => ({
+      name: m.name,
+      size: m.size,
+      moduleUnused: m.usedExports === false,
+      provided: m.providedExports,
+      unused: m.providedExports.filter(name => !isExportUsed(m, name)),
+    }))
+    .filter(result => result.unused.length > 0);
+  return _.orderBy(results, [r => r.unused.length, 'size'], ['desc', 'desc']);
+}
+
+function formatUnusedExports(results, top) {
+  if (results.length === 0) {
+    return 'All provided exports are used';
+  }
+  const shown = results.slice(0, top);
+  return [`${results.length} modules with unused exports${shown.length < results.length ? `, top ${shown.length}` : ''}:`]
+    .concat(shown.map(r => {
+      const exportsText = r.provided.length === 1 ? 'export' : 'exports';
+      const count = r.moduleUnused
+        ? `module unused, ${r.provided.length} ${exportsText}`
+        : `${r.unused.length} of ${r.provided.length} ${exportsText} unused`;
+      return `  ${r.name}: ${count} (${r.unused.join(', ')})`;
+    }))
+    .join('\n');
+}
+
+module.exports = {
+  hasExportUsage,
+  unusedExports,
+  formatUnusedExports,
+};
@@ -0,0 +1,101 @@
+const _ = require('lodash');
+const minimatch = require('minimatch');
+const {chunkDisplayName} = require('./chunks');
+
+// rules are globs or regexes written as /pattern/flags
+function parseRule(rule) {
+  const regex = rule.match(/^\/(.*)\/([a-z]*)$/);
+  if (regex) {
+    const pattern = new RegExp(regex[1], regex[2]);
+    return value => pattern.test(value);
+  }
+  // matchBase so *.png matches modules in any folder
+  return value => minimatch(value, rule, {matchBase: true, dot: true});
+}
+
+// returns a function to test if a parsed module's name or package name matches a glob or /regex/, with or without inline loaders
+function createModuleNameMatcher(pattern) {
+  const matches = parseRule(String(pattern));
+  return m => {
+    const resource = _.last(m.name.split('!'));
+    return _.compact([m.name, resource, resource.replace(/^\.\//, ''), m.packageDetails.name]).some(matches);
+  };
+}
+
+// returns a function to test if a parsed module should be shown
+// rules are matched against the module name, package name, chunk names and file extension
+function createModuleFilter(stats, options) {
+  const includes = _.castArray(options.include || []).map(String).map(parseRule);
+  const excludes = _.castArray(options.exclude || []).map(String).map(parseRule);
+  const chunksById = _.keyBy(stats.chunks, 'id');
+
+  function matchValues(m) {
+    const chunkNames = (m.chunks || [])
+      .filter(id => chunksById[id])
+      .map(id => chunkDisplayName(chunksById[id]).toString());
+    // match the resource without inline loaders too
+    const resource = _.last(m.name.split('!'));
+    return _.compact([
+      m.name,
+      resource,
+      // so globs like src/** work without ./
+      resource.replace(/^\.\//, ''),
+      m.packageDetails.name,
+      m.fileExtension,
+    ].concat(chunkNames));
+  }
+
+  const matchesAny = (rules, values) => rules.some(rule => values.some(rule));
+
+  return m => {
+    const values = matchValues(m);
+    if (includes.length > 0 && !matchesAny(includes, values)) {
+      return false;
+    }
+    return !matchesAny(excludes, values);
+  };
+}
+
+// marks hidden modules and rewires issuers of visible modules through hidden modules
+// i.e. a -> hidden -> b becomes a -> b, rewired issuers are flagged with throughHidden
+function hideModules(parsedModules, isVisible) {
+  const modulesById = _.keyBy(parsedModules, 'graphId');
+  parsedModules.forEach(m => m.hidden = !isVisible(m));
+
+  function visibleIssuers(issuer, visited) {
+    const issuerModule = modulesById[issuer.graphId];
+    if (!issuerModule || !issuerModule.hidden) {
+      return [issuer];
+    }
+    if (visited[issuer.graphId]) {
+      // cycle of hidden modules
+      return [];
+    }
+    visited[issuer.graphId] = true;
+    return _.flatMap(issuerModule.issuers, i => visibleIssuers(i, visited))
+      .map(i => ({
+        graphId: i.graphId,
+        // keep the type of the dependency on the visible module
+        type: issuer.type,
+        throughHidden: true,
+      }));
+  }
+
+  const isHidden = issuer => modulesById[issuer.graphId] && modulesById[issuer.graphId].hidden;
+  parsedModules
+    .filter(m => !m.hidden && m.issuers.some(isHidden))
+    .forEach(m => {
+      const direct = m.issuers.filter(i => !isHidden(i));
+      const rewired = _.flatMap(m.issuers.filter(isHidden), i => visibleIssuers(i, {}))
+        .filter(i => i.graphId !== m.graphId && !direct.some(d => d.graphId === i.graphId));
+      m.issuers = direct.concat(_.uniqBy(rewired, 'graphId'));
+    });
+  return parsedModules.filter(m => m.hidden);
+}
+
+module.exports = {
+  parseRule,
+  createModuleNameMatcher,
+  createModuleFilter,
+  hideModules,
+};
@@ -0,0 +1,53 @@
+const _ = require('lodash');
+const {createModuleNameMatcher} = require('./filter');
+
+// walk issuers (upstream) or dependents (downstream) up to depth hops from the starting modules
+function walk(startIds, neighbors, depth) {
+  const reached = {};
+  let current = startIds;
+  for (let hop = 0; hop < depth && current.length > 0; hop++) {
+    current = _.flatMap(current, id => neighbors[id] || [])
+      .filter(id => !reached[id]);
+    current.forEach(id => reached[id] = true);
+  }
+  return Object.keys(reached);
+}
+
+// hides modules that aren't within options.upstream/options.downstream hops of modules matching options.focus
+// edges to modules hidden here are dropped, not rewired, so the subgraph only shows real neighbors
+function focusModules(parsedModules, options) {
+  const visibleModules = parsedModules.filter(m => !m.hidden);
+  const focused = visibleModules.filter(createModuleNameMatcher(options.focus));
+  if (focused.length === 0) {
+    throw new Error(`No modules match focus: ${options.focus}`);
+  }
+  focused.forEach(m => m.focused = true);
+
+  const issuers = {};
+  const dependents = {};
+  visibleModules.forEach(m => {
+    issuers[m.graphId] = m.issuers.map(i => i.graphId);
+    m.issuers.forEach(i => (dependents[i.graphId] = dependents[i.graphId] || []).push(m.graphId));
+  });
+
+  const focusedIds = focused.map(m => m.graphId);
+  const keepIds = _.keyBy(_.union(
+    focusedIds,
+    walk(focusedIds, issuers, options.upstream),
+    walk(focusedIds, dependents, options.downstream)
+  ));
+
+  visibleModules.forEach(m => {
+    if (!keepIds[m.graphId]) {
+      m.hidden = true;
+    }
+  });
+  visibleModules
+    .filter(m => !m.hidden)
+    .forEach(m => m.issuers = m.issuers.filter(i => keepIds[i.graphId]));
+  return focused;
+}
+
+module.exports = {
+  focusModules,
+};
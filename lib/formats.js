@@ -0,0 +1,196 @@
+const _ = require('lodash');
+
+// formats built from the graph object instead of dot's layout, they don't need graphviz installed
+
+const stripQuotes = id => id.replace(/^"|"$/g, '');
+
+// Attributs of the graphviz lib keep attributes in a Hash
+function attributesOf(attributs) {
+  return Object.assign({}, attributs.attributs.items);
+}
+
+// record labels ({ a|b }) are split into lines on unescaped |, dot's \n escapes are turned into newlines
+// and escaped characters (\\, \|, \{, \}, \<, \>, \") are unescaped, see escapeRecordText and escapeLabelText in graph.js
+function plainLabel(label, id) {
+  if (label === undefined || label === null) {
+    return id;
+  }
+  const text = String(label);
+  const cells = [''];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      i++;
+      // \l and \r are left and right justified newlines
+      cells[cells.length - 1] += 'nlr'.includes(text[i]) ? '\n' : text[i];
+    }
+    else if (text[i] === '|') {
+      cells.push('');
+    }
+    else if (text[i] !== '{' && text[i] !== '}') {
+      cells[cells.length - 1] += text[i];
+    }
+  }
+  return cells
+    .map(cell => cell.trim())
+    .filter(cell => cell)
+    .join('\n');
+}
+
+// the model of the graph from buildGraph as plain json:
+// {
+//   label: 'compilation hash',
+//   clusters: [{id, label, parent, attributes}], parent is the id of the enclosing cluster or null
+//   nodes: [{id, label, cluster, attributes}], cluster is the id of the enclosing cluster or null
+//   edges: [{from, to, label, attributes}], from is a cluster id when an edge starts at a cluster (chunk to file edges)
+// }
+// labels are plain text, attributes are the graphviz attributes as set on the graph
+function graphToJson(graph) {
+  const clusters = [];
+  const clusterIdCounts = {};
+  const nodeOccurrences = [];
+  const edges = [];
+
+  function collect(g, clusterId) {
+    Object.keys(g.nodes.items)
+      .forEach(id => nodeOccurrences.push({node: g.nodes.items[id], cluster: clusterId}));
+    g.edges.forEach(edge => edges.push(edge));
+    Object.keys(g.clusters.items)
+      .map(id => g.clusters.items[id])
+      .forEach(cluster => {
+        // package clusters repeat across chunks, ids in the model are unique
+        const graphvizId = stripQuotes(cluster.id);
+        clusterIdCounts[graphvizId] = (clusterIdCounts[graphvizId] || 0) + 1;
+        const id = clusterIdCounts[graphvizId] > 1 ? `${graphvizId}_${clusterIdCounts[graphvizId]}` : graphvizId;
+        clusters.push({
+          id,
+          label: plainLabel(cluster.get('label'), id),
+          parent: clusterId,
+          attributes: attributesOf(cluster.graphAttributs),
+        });
+        collect(cluster, id);
+      });
+  }
+  collect(graph, null);
+
+  // edges added to the top level create a second, attribute-less node with the same id, keep the one with attributes
+  const nodesById = {};
+  nodeOccurrences.forEach(occurrence => {
+    const existing = nodesById[occurrence.node.id];
+    if (!existing || (existing.node.attributs.length() === 0 && occurrence.node.attributs.length() > 0)) {
+      nodesById[occurrence.node.id] = occurrence;
+    }
+  });
+  // invisible nodes only exist to attach edges to clusters
+  const isInvisible = id => nodesById[id] && nodesById[id].node.get('style') === 'invis';
+
+  return {
+    label: graph.get('label') === undefined ? null : String(graph.get('label')),
+    clusters,
+    nodes: _.values(nodesById)
+      .filter(occurrence => !isInvisible(occurrence.node.id))
+      .map(occurrence => ({
+        id: occurrence.node.id,
+        label: plainLabel(occurrence.node.get('label'), occurrence.node.id),
+        cluster: occurrence.cluster,
+        attributes: attributesOf(occurrence.node.attributs),
+      })),
+    edges: edges.map(edge => {
+      const ltail = edge.get('ltail');
+      return {
+        from: ltail && isInvisible(edge.nodeOne.id) ? ltail : edge.nodeOne.id,
+        to: edge.nodeTwo.id,
+        label: edge.get('label') === undefined ? null : String(edge.get('label')),
+        attributes: attributesOf(edge.attributs),
+      };
+    }),
+  };
+}
+
+// mermaid ids can't have most punctuation, so nodes and clusters get generated ids
+function graphToMermaid(graph) {
+  const model = graphToJson(graph);
+  const mermaidIds = {};
+  model.clusters.forEach((c, index) => mermaidIds[c.id] = `c${index}`);
+  model.nodes.forEach((n, index) => mermaidIds[n.id] = `n${index}`);
+  const text = label => `"${label.replace(/"/g, '#quot;').replace(/\n/g, '<br/>')}"`;
+
+  const lines = ['flowchart LR'];
+  function addContents(clusterId, indent) {
+    model.nodes
+      .filter(n => n.cluster === clusterId)
+      .forEach(n => lines.push(n.attributes.shape === 'rarrow'
+        ? `${indent}${mermaidIds[n.id]}>${text(n.label)}]`
+        : `${indent}${mermaidIds[n.id]}[${text(n.label)}]`));
+    model.clusters
+      .filter(c => c.parent === clusterId)
+      .forEach(c => {
+        lines.push(`${indent}subgraph ${mermaidIds[c.id]}[${text(c.label)}]`);
+        addContents(c.id, `${indent}  `);
+        lines.push(`${indent}end`);
+      });
+  }
+  addContents(null, '  ');
+
+  model.edges
+    .filter(e => mermaidIds[e.from] && mermaidIds[e.to])
+    .forEach(e => {
+      const dashed = e.attributes.style === 'dashed';
+      const arrow = e.label
+        ? (dashed ? `-. ${text(e.label)} .->` : `-- ${text(e.label)} -->`)
+        : (dashed ? '-.->' : '-->');
+      lines.push(`  ${mermaidIds[e.from]} ${arrow} ${mermaidIds[e.to]}`);
+    });
+  return lines.join('\n') + '\n';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// clusters are nodes with a nested graph, yEd shows them as groups
+function graphToGraphml(graph) {
+  const model = graphToJson(graph);
+  const data = (key, value) => value === undefined || value === null
+    ? []
+    : [`<data key="${key}">${escapeXml(value)}</data>`];
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="shape" for="node" attr.name="shape" attr.type="string"/>',
+    '  <key id="edgeLabel" for="edge" attr.name="label" attr.type="string"/>',
+    '  <key id="style" for="edge" attr.name="style" attr.type="string"/>',
+    '  <graph id="G" edgedefault="directed">',
+  ];
+  function addContents(clusterId, indent) {
+    model.nodes
+      .filter(n => n.cluster === clusterId)
+      .forEach(n => lines.push(`${indent}<node id="${escapeXml(n.id)}">${
+        data('label', n.label).concat(data('shape', n.attributes.shape)).join('')}</node>`));
+    model.clusters
+      .filter(c => c.parent === clusterId)
+      .forEach(c => {
+        lines.push(`${indent}<node id="${escapeXml(c.id)}">${data('label', c.label).join('')}`);
+        lines.push(`${indent}  <graph id="${escapeXml(c.id)}:" edgedefault="directed">`);
+        addContents(c.id, `${indent}    `);
+        lines.push(`${indent}  </graph>`);
+        lines.push(`${indent}</node>`);
+      });
+  }
+  addContents(null, '    ');
+  model.edges.forEach(e => lines.push(`    <edge source="${escapeXml(e.from)}" target="${escapeXml(e.to)}">${
+    data('edgeLabel', e.label).concat(data('style', e.attributes.style)).join('')}</edge>`));
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+module.exports = {
+  graphToJson,
+  graphToMermaid,
+  graphToGraphml,
+};
@@ -0,0 +1,608 @@
+const path = require('path');
+const url = require('url');
+const _ = require('lodash');
+const DataURI = require('datauri');
+const {displaySize, sizeOf} = require('./size');
+const {parseModule, createModuleParser, dependencyDisplayText, isExportUsed} = require('./modules');
+const {createModuleFilter, hideModules} = require('./filter');
+const {focusModules} = require('./focus');
+const {findCycleComponents} = require('./cycles');
+const {findDuplicates} = require('./duplicates');
+const {loaderDisplayText} = require('./loaders');
+const {isContextElementReason} = require('./context-modules');
+const {loadBudget, checkBudget, highlightBudgetViolations} = require('./budget');
+const {parseClusterDetails, parseClusterDetailsFromOneChunk} = require('./chunks');
+const {resolveOptions} = require('./options');
+const {normalizeStats} = require('./normalize');
+const {createDigraph, createCompilationClusters, findNodes} = require('./nodes');
+const {buildChunkGraph} = require('./chunk-graph');
+const {createPackageVersionResolver} = require('./packages');
+const {
+  setNodeColors, hslToGraphvizHsv,
+  redHue, greenHue, orangeHue, turquoiseHue, blueHue, yellowHue, purpleHue, magentaHue,
+} = require('./colors');
+
+const turnYellowAt = 1 / 10 * 1024;
+const turnOrangeAt = 1024;
+const turnRedAt = 2.5 * 1024;
+
+function isBigGraph(stats, options) {
+  return normalizeStats(stats).modules.length > resolveOptions(options).bigGraphThreshold;
+}
+
+// the first depth folders of a directory, i.e. src/components with depth 2 for src/components/button
+function truncateDirectory(directory, depth) {
+  return depth ? directory.split('/').slice(0, depth).join('/') : directory;
+}
+
+// above collapseThreshold modules packages are collapsed, and directories too if that still leaves more nodes than the threshold
+// directories are then collapsed to the deepest level (directoryDepth) that's under the threshold, or to top level directories
+function collapseParsedModules(parsedModules, options) {
+  const collapse = {packages: options.collapsePackages, directories: options.collapseDirectories};
+  if (!options.collapseThreshold || parsedModules.length <= options.collapseThreshold) {
+    return collapse;
+  }
+  const packageModules = parsedModules.filter(m => m.packageDetails.name);
+  const appModules = _.difference(parsedModules, packageModules);
+  // a package or a directory is a node in each group of chunks it's in
+  const packageNodes = _.uniqBy(packageModules, m => packageNodeId(m.packageDetails.name, m.chunks)).length;
+  if (packageNodes + appModules.length <= options.collapseThreshold) {
+    return Object.assign(collapse, {packages: true});
+  }
+  const nodesWithDirectoryDepth = depth => packageNodes
+    + _.uniqBy(appModules, m => m.depth === 0 ? m.graphId : directoryNodeId(truncateDirectory(m.directory, depth), m.chunks)).length;
+  const maxDepth = _.max(appModules.map(m => m.directory.split('/').length)) || 1;
+  const depth = _.find(_.rangeRight(1, maxDepth + 1), d => nodesWithDirectoryDepth(d) <= options.collapseThreshold) || 1;
+  return {
+    packages: true,
+    directories: true,
+    directoryDepth: depth < maxDepth ? depth : undefined,
+  };
+}
+
+// {packages, directories, directoryDepth}: what the modules view collapses, from the collapse options and collapseThreshold
+// pass it to buildGraph as options.collapse so the modules aren't parsed again to work it out
+function resolveCollapse(stats, options) {
+  return collapseParsedModules(normalizeStats(stats).modules.map(m => parseModule(m)), resolveOptions(options));
+}
+
+// for the CLI and the plugin to tell when collapseThreshold collapsed the graph, collapse is from resolveCollapse
+function autoCollapseMessage(stats, collapse, options) {
+  options = resolveOptions(options);
+  if (options.view !== 'modules') {
+    return undefined;
+  }
+  const directories = collapse.directoryDepth
+    ? `directories to ${collapse.directoryDepth} ${collapse.directoryDepth === 1 ? 'level' : 'levels'}`
+    : 'directories';
+  const collapsed = [
+    collapse.packages && !options.collapsePackages ? 'packages' : '',
+    collapse.directories && (!options.collapseDirectories || collapse.directoryDepth) ? directories : '',
+  ].filter(c => c);
+  return collapsed.length > 0
+    ? `Collapsed ${collapsed.join(' and ')} of the ${normalizeStats(stats).modules.length} modules, raise --collapse-threshold or set it to 0 to show every module.`
+    : undefined;
+}
+
+function styleModuleNode(node, m, options) {
+  // note - example wise this is an opportunity for pattern matching with babel transform?
+  // https://github.com/tc39/proposal-pattern-matching
+  // when I add a build to this, add in babel and pattern matching
+
+  function fillColorByFileExtension() {
+    switch (m.fileExtension) {
+      case '.html':
+        return turquoiseHue;
+      case '.css':
+        return purpleHue;
+      case '.png':
+        return orangeHue;
+      case '.js':
+        return greenHue;
+      default:
+        return yellowHue;
+    }
+  }
+
+  function fillColorBySize() {
+    const size = sizeOf(m, options.sizeType);
+    if (size < turnYellowAt) {
+      return greenHue;
+    }
+    else if (size < turnOrangeAt) {
+      return yellowHue;
+    }
+    else if (size < turnRedAt) {
+      return orangeHue;
+    }
+    else {
+      return redHue;
+    }
+  }
+
+  const fillColorHue = options.colorBySize ? fillColorBySize() : fillColorByFileExtension();
+  setNodeColors(fillColorHue, node);
+}
+
+// characters with a meaning in record labels, and quotes for the dot attribute itself
+function escapeRecordText(text) {
+  return text.replace(/([{}|<>"\\])/g, '\\$1');
+}
+
+// backslashes (i.e. in context regexes) and quotes for the dot attribute
+function escapeLabelText(text) {
+  return text.replace(/(["\\])/g, '\\$1');
+}
+
+// a cell per step of the loader pipeline, from the resource through the loaders in the order they run
+// queries (loader options) are only shown with showQueryString
+function loaderPipelineLabel(m, options) {
+  const query = part => options.showQueryString ? part.query : '';
+  const cells = [m.pathLabel + query(m.resource)]
+    .concat(m.loaders.slice().reverse().map(loader => loaderDisplayText(loader) + query(loader)));
+  return `{ ${cells.map(escapeRecordText).join('|')} }`;
+}
+
+function packageNodeId(packageName, chunksKey) {
+  return `package_${packageName}_${chunksKey}`;
+}
+
+function directoryNodeId(directory, chunksKey) {
+  return `directory_${directory}_${chunksKey}`;
+}
+
+// the nodes of a parsed module, or of the package or directory node it's collapsed into
+// collapsed nodes are per group of chunks, keyed like modulesByChunks in buildGraph
+// all directory nodes of a graph have the same depth, so the deepest one that exists is the module's
+function findModuleNodes(graph, m) {
+  const chunksKey = m.chunks.toString();
+  const directoryDepths = _.rangeRight(1, m.directory.split('/').length + 1);
+  const candidateIds = [m.graphId].concat(m.packageDetails.name
+    ? [packageNodeId(m.packageDetails.name, chunksKey)]
+    : directoryDepths.map(depth => directoryNodeId(truncateDirectory(m.directory, depth), chunksKey)));
+  return candidateIds
+    .map(id => findNodes(graph, id))
+    .find(nodes => nodes.length > 0) || [];
+}
+
+function buildGraph(stats, options) {
+  stats = normalizeStats(stats);
+  options = resolveOptions(options);
+  if (options.view === 'chunks') {
+    return buildChunkGraph(stats, options);
+  }
+  const bigGraph = isBigGraph(stats, options);
+
+  const graph = createDigraph(stats.hash);
+  // note - can be illustrative to turn off clustering to see how all modules are really just connected and actually chunks delineate modules
+  // graph.set('clusterrank', 'global');
+  if (!bigGraph) {
+    // note: ortho doesn't work well with large graphs
+    graph.set('splines', 'ortho');
+    // nslimit might speed up graph generation for large graphs, TBD
+    // graph.set('nslimit', 1);
+  }
+
+  // parse all modules up front so hidden modules can be skipped over when drawing edges
+  const parsedModules = stats.modules.map(createModuleParser(stats.modules, options));
+  const collapse = options.collapse || collapseParsedModules(parsedModules, options);
+  // cycles are found before hiding modules, a cycle through hidden modules is still a cycle
+  const cycleComponents = options.showCycles ? findCycleComponents(parsedModules) : {};
+  const isCycleEdge = (fromGraphId, toGraphId) => cycleComponents[fromGraphId] !== undefined
+    && cycleComponents[fromGraphId] === cycleComponents[toGraphId];
+  const cycleColor = hslToGraphvizHsv([magentaHue, 70, 45]);
+  // packages bundled more than once, found before hiding modules like cycles
+  // keyed by compilation too, a package in two compilations of multi-compiler stats isn't a duplicate
+  const duplicateKey = (compilation, packageName) => `${compilation || ''}\n${packageName}`;
+  const duplicatePackages = options.showDuplicates ? _.keyBy(findDuplicates(stats, options), d => duplicateKey(d.compilation, d.name)) : {};
+  const duplicateOf = m => duplicatePackages[duplicateKey(m.compilation, m.packageDetails.name)];
+  const duplicateColor = hslToGraphvizHsv([redHue, 70, 45]);
+  const duplicateLabel = duplicate => duplicate.versions.length > 1
+    ? `duplicate: ${duplicate.versions.join(', ')}`
+    : 'duplicate';
+  hideModules(parsedModules, createModuleFilter(stats, options));
+  if (options.focus) {
+    focusModules(parsedModules, options);
+  }
+  const parsedModulesById = _.keyBy(parsedModules, 'graphId');
+  const parsedModulesInGroup = modules => modules.map(m => parsedModulesById[m.id.toString()]);
+
+  // in focus mode only chunks (and their assets) with remaining modules are shown
+  const focusedChunkIds = _.keyBy(_.flatMap(parsedModules.filter(m => !m.hidden), m => m.chunks));
+  const showChunk = chunkId => !options.focus || focusedChunkIds[chunkId] !== undefined;
+  const chunksById = _.keyBy(stats.chunks, 'id');
+
+  const clusterParent = createCompilationClusters(graph);
+
+  // Add nodes for assets so we can see relationship between chunks and assets.
+  if (options.showFiles) {
+    // enable edges from/to clusters
+    graph.set('compound', true);
+    const assets = stats.assets.filter(asset => !options.focus || _.some(asset.chunks, showChunk));
+    assets.forEach(asset => {
+      const name = asset.name;
+      const fileNode = graph.addNode(`file_${name}`, []);
+      const labels = [path.basename(name)];
+      if (options.showSize) {
+        labels.push(displaySize(sizeOf(asset, options.sizeType)));
+      }
+      fileNode.set('labelloc', 'c');
+      if (labels.length > 1) {
+        fileNode.set('label', `{ ${labels.join('|')} }`);
+        fileNode.set('shape', 'record');
+      }
+      else {
+        fileNode.set('label', labels[0]);
+        fileNode.set('shape', 'rect');
+      }
+      setNodeColors(blueHue, fileNode);
+    });
+  }
+
+  // Modules are clustered by chunk(s) they belongs to.
+  // So for each chunk there will be a cluster in the graph.
+  // Modules that overlap chunks will be in a cluster that represents that specific combination of overlap.
+  // This is done because graphviz doesn't allow overlapping clusters.
+  // Also this is done because it is easy to see common modules and potentially use that for optimization.
+  const modulesByChunks = _.chain(stats.modules)
+    .groupBy(m => m.chunks)
+    .entries()
+    .value();
+
+  // with collapsed packages, edges to and from a package's modules attach to the package's node instead
+  const collapsedNodeIds = {};
+  if (collapse.packages) {
+    modulesByChunks.forEach(p => parsedModulesInGroup(p[1])
+      .filter(m => !m.hidden && m.packageDetails.name)
+      .forEach(m => collapsedNodeIds[m.graphId] = packageNodeId(m.packageDetails.name, p[0])));
+  }
+  // same for directories of app modules, entry modules and directories with one module keep their module node
+  const collapsedDirectory = m => truncateDirectory(m.directory, collapse.directoryDepth);
+  if (collapse.directories) {
+    modulesByChunks.forEach(p => _.chain(parsedModulesInGroup(p[1]))
+      .filter(m => !m.hidden && !m.packageDetails.name && m.depth !== 0)
+      .groupBy(collapsedDirectory)
+      .filter(modules => modules.length > 1)
+      .flatten()
+      .forEach(m => collapsedNodeIds[m.graphId] = directoryNodeId(collapsedDirectory(m), p[0]))
+      .value());
+  }
+  const edgeNodeId = graphId => collapsedNodeIds[graphId] || graphId;
+  const addedEdges = {};
+  const resolvePackageVersion = createPackageVersionResolver(stats, options);
+
+  function addIssuerEdges(m) {
+    m.issuers.forEach(issuer => {
+      const fromId = edgeNodeId(issuer.graphId);
+      const toId = edgeNodeId(m.graphId);
+      const edgeKey = `${fromId}->${toId}`;
+      // collapsed packages or directories: skip edges within a collapsed node and repeated edges between the same nodes
+      if ((collapse.packages || collapse.directories) && (fromId === toId || addedEdges[edgeKey])) {
+        return;
+      }
+      addedEdges[edgeKey] = true;
+      const edge = graph.addEdge(fromId, toId, []);
+      edge.set('arrowsize', '.75');
+      edge.set('color', hslToGraphvizHsv([redHue, 58, 45]));
+      if (isCycleEdge(issuer.graphId, m.graphId)) {
+        edge.set('color', cycleColor);
+        edge.set('penwidth', 2);
+      }
+      // files a context module resolves to
+      if (issuer.throughHidden || isContextElementReason(issuer)) {
+        edge.set('style', 'dashed');
+      }
+      if (options.showDepType) {
+        edge.set('label', dependencyDisplayText(issuer));
+      }
+    });
+  }
+
+  modulesByChunks.forEach(p => {
+    const modules = p[1];
+    const chunkIds = _.first(modules).chunks;
+
+    const groupModules = parsedModulesInGroup(modules);
+    const allModules = groupModules.filter(m => !m.hidden);
+    const hiddenCount = groupModules.length - allModules.length;
+    if (allModules.length === 0 && (options.focus || !options.hiddenPlaceholder)) {
+      // every module in this group is hidden
+      return;
+    }
+
+    const chunks = chunkIds.map(c => chunksById[c]);
+    const clusterDetails = parseClusterDetails(chunks, options);
+    const chunkCluster = createStyledCluster(clusterParent(_.first(chunks)), clusterDetails, options);
+
+    function createModuleNode(cluster, m) {
+      const node = cluster.addNode(m.graphId, []);
+
+      const labels = [m.label];
+      if (options.showSize) {
+        labels.push(displaySize(sizeOf(m, options.sizeType)));
+      }
+      if (options.showExports && !m.context && m.providedExports && m.providedExports.length > 0) {
+        const exports = m.providedExports
+          .map(name => ({
+            name,
+            isUsed: isExportUsed(m, name),
+          }))
+          .map(e => e.isUsed ? e.name : `${e.name} (unused)`);
+        const exportsStack = ` { ${exports.join('|')}  }`;
+        // insert at start so it shows on left side
+        labels.splice(0, 0, exportsStack);
+      }
+
+      styleModuleNode(node, m, options);
+      if (cycleComponents[m.graphId] !== undefined) {
+        node.set('color', cycleColor);
+        node.set('penwidth', 2);
+      }
+      if (m.focused) {
+        node.set('penwidth', 3);
+      }
+      addIssuerEdges(m);
+
+      node.set('labelloc', 'c');
+      const isEntryModule = m.depth === 0;
+      if (isEntryModule) {
+        // If I want an arrow I can't have record based AFAIK
+        node.set('label', labels.join(' | '));
+        node.set('shape', 'rarrow');
+        node.set('margin', 0.15);
+      }
+      else if (m.context) {
+        // folder shape, so the size is on its own line instead of a record cell
+        node.set('label', escapeLabelText(labels.join('\n')));
+        node.set('shape', 'folder');
+      }
+      else if (m.loaders.length > 0) {
+        labels[labels.indexOf(m.label)] = loaderPipelineLabel(m, options);
+        node.set('label', `{ ${labels.join('|')} }`);
+        node.set('shape', 'record');
+      }
+      else if (labels.length > 1) {
+        node.set('label', `{ ${labels.join('|')} }`);
+        node.set('shape', 'record');
+      }
+      else {
+        node.set('label', labels[0]);
+        node.set('shape', 'rect');
+      }
+      // labels are shortened, hover titles have the full identifier
+      node.set('tooltip', escapeLabelText(m.identifier));
+
+      // adding file content can be problematic, turn this off if you have issues rendering dot -> SVG
+      // in this case I'm excluding files over 10,000 bytes (i.e. lodash) which fails to render in both URL and tooltip from my testing
+      if (m.source && m.size < 10000) {
+
+        if (options.showSources) {
+          const datauri = new DataURI();
+          datauri.format('.js', m.source);
+          node.set('URL', datauri.content);
+
+          // escape source to play well with dot language as intermediary to title attribute in svg
+          const escapedSource = m.source
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '&#10;');
+          node.set('tooltip', `${escapeLabelText(m.identifier)}&#10;&#10;${escapedSource}`);
+        }
+
+      }
+      return node;
+    }
+
+    const npmPackages = allModules.filter(m => m.packageDetails.name);
+    const appModules = _.difference(allModules, npmPackages);
+
+    appModules
+      .filter(m => !collapsedNodeIds[m.graphId])
+      .forEach(m => createModuleNode(chunkCluster, m));
+    _.chain(appModules)
+      .filter(m => collapsedNodeIds[m.graphId])
+      .groupBy(collapsedDirectory)
+      .forEach((modules, directory) => createDirectoryNode(directory, modules))
+      .value();
+
+    if (options.hiddenPlaceholder && hiddenCount > 0) {
+      const placeholder = chunkCluster.addNode(`hidden_${p[0]}`, []);
+      placeholder.set('label', `${hiddenCount} hidden`);
+      placeholder.set('shape', 'rect');
+      placeholder.set('style', 'dashed');
+      placeholder.set('fontcolor', hslToGraphvizHsv([0, 0, 45]));
+      placeholder.set('color', hslToGraphvizHsv([0, 0, 55]));
+    }
+
+    function createPackageNode(packageName, modules) {
+      // one node per package instead of a cluster with a node per module
+      const version = resolvePackageVersion(_.first(modules).packageDetails);
+      const size = _.sumBy(modules, m => sizeOf(m, options.sizeType));
+      const node = chunkCluster.addNode(packageNodeId(packageName, p[0]), []);
+      const labels = [
+        version ? `${packageName}@${version}` : packageName,
+        displaySize(size),
+        `${modules.length} ${modules.length === 1 ? 'module' : 'modules'}`,
+      ];
+      const duplicate = duplicateOf(_.first(modules));
+      if (duplicate) {
+        labels.push(duplicateLabel(duplicate));
+      }
+      node.set('label', `{ ${labels.join('|')} }`);
+      node.set('shape', 'record');
+      node.set('labelloc', 'c');
+      styleModuleNode(node, {fileExtension: '.js', size}, options);
+      if (duplicate) {
+        node.set('color', duplicateColor);
+        node.set('penwidth', 2);
+      }
+      node.set('URL', resolveNpmPackagePage(packageName, version));
+      node.set('target', 'npm');
+      modules.forEach(addIssuerEdges);
+      return node;
+    }
+
+    function createDirectoryNode(directory, modules) {
+      // one node per directory of app modules, see collapseDirectories
+      const size = _.sumBy(modules, m => sizeOf(m, options.sizeType));
+      const node = chunkCluster.addNode(directoryNodeId(directory, p[0]), []);
+      const labels = [
+        `${directory}/`,
+        displaySize(size),
+        `${modules.length} modules`,
+      ];
+      node.set('label', `{ ${labels.map(escapeRecordText).join('|')} }`);
+      node.set('shape', 'record');
+      node.set('labelloc', 'c');
+      node.set('tooltip', escapeLabelText(modules.map(m => m.name).join('\n')));
+      styleModuleNode(node, {fileExtension: '.js', size}, options);
+      modules.forEach(addIssuerEdges);
+      return node;
+    }
+
+    _.chain(npmPackages)
+      .groupBy(m => m.packageDetails.name)
+      .entries()
+      .value()
+      .forEach(packageModulesGrouping => {
+        if (collapse.packages) {
+          createPackageNode(packageModulesGrouping[0], packageModulesGrouping[1]);
+          return;
+        }
+        const packageName = packageModulesGrouping[0]; // key of group by is package name
+        const packageCluster = chunkCluster.addCluster(`"cluster_${packageName}"`);
+        packageCluster.set('label', packageName);
+        packageCluster.set('fillcolor', hslToGraphvizHsv([greenHue, 0, 85]));
+        packageCluster.set('color', hslToGraphvizHsv([greenHue, 0, 45]));
+        packageCluster.set('style', 'filled');
+        packageCluster.set('URL', resolveNpmPackagePage(packageName));
+        packageCluster.set('target', 'npm');
+        const duplicate = duplicateOf(_.first(packageModulesGrouping[1]));
+        if (duplicate) {
+          packageCluster.set('label', `${packageName}\n${duplicateLabel(duplicate)}`);
+          packageCluster.set('color', duplicateColor);
+          packageCluster.set('penwidth', 2);
+        }
+        const modules = packageModulesGrouping[1];
+        modules.forEach(m => {
+          const node = createModuleNode(packageCluster, m);
+          // set aspects for modules in a package
+          // link to unpkg to see source (version won't be guaranteed to be same)
+          node.set('URL', resolveUnpkgFile(m.packageDetails));
+          node.set('target', '_blank');
+        });
+      });
+
+    clusterDetails.addFileEdgeAfterAllNodesInCluster();
+  });
+
+  function resolveNpmPackagePage(nodeModuleName, version) {
+    const packagePage = url.resolve('https://www.npmjs.com/package/', nodeModuleName);
+    return version ? `${packagePage}/v/${version}` : packagePage;
+  }
+
+  function resolveUnpkg(modulePackageDetails) {
+    return url.resolve('https://unpkg.com/', modulePackageDetails.name);
+  }
+
+  function resolveUnpkgFile(modulePackageDetails) {
+    const base = resolveUnpkg(modulePackageDetails);
+    return url.resolve(base + '/', modulePackageDetails.filePath);
+  }
+
+  // since the above only adds chunks that have modules, now add chunks without modules:
+  const moduleGroupKeys = _.keyBy(modulesByChunks.map(mbc => mbc[0]));
+  const chunksWithNoModules = stats.chunks
+    .filter(c => moduleGroupKeys[c.id.toString()] === undefined)
+    .filter(c => showChunk(c.id));
+  chunksWithNoModules
+    .forEach(c => {
+      const clusterDetails = parseClusterDetailsFromOneChunk(c, options);
+      const cluster = createStyledCluster(clusterParent(c), clusterDetails, options);
+
+      const noModulesId = `no-modules-${clusterDetails.graphId}`;
+      const noModules = cluster.addNode(noModulesId, []);
+      noModules.set('shape', 'none');
+      noModules.set('label', 'No Modules');
+      clusterDetails.addFileEdgeAfterAllNodesInCluster();
+    });
+
+  if (options.budget) {
+    highlightBudgetViolations(graph, checkBudget(stats, loadBudget(options.budget, options.context), options));
+  }
+
+  return graph;
+}
+
+function createStyledCluster(graph, clusterDetails, options) {
+  const clusterId = `cluster_${clusterDetails.graphId}`;
+  const clusterIdQuoted = `"${clusterId}"`;
+  // graphviz nodejs lib doesn't add double quotes around cluster IDs - but does when you pass to attributes like ltail :(
+  // aggressive merging plugin is a good example of needing quotes because there are combined chunks that have multiple chunk ids combined and I use ' & ' right now to delineate that.
+  // the library does add double quotes around node IDs
+  const cluster = graph.addCluster(clusterIdQuoted);
+  cluster.set('label', clusterDetails.label);
+  // hue and saturation at 0 means color plays no role and we're just using lightness (gray)
+  cluster.set('fontcolor', hslToGraphvizHsv([0, 0, 28]));
+  const clusterBgColor = hslToGraphvizHsv([0, 0, 95]);
+  cluster.set('bgcolor', clusterBgColor);
+  // color is border color in this configuration
+  cluster.set('color', hslToGraphvizHsv([0, 0, 55]));
+  // call addFileEdgeAfterAllNodesInCluster later to add node after other nodes (better layout)
+  clusterDetails.addFileEdgeAfterAllNodesInCluster = () => addFileEdge(clusterDetails, clusterId, cluster, graph, options);
+  return cluster;
+}
+
+function addFileEdge(clusterDetails, clusterId, cluster, graph, options) {
+  if (!options.showFiles
+    || clusterDetails.isVisualOverlap
+    || !clusterDetails.files) {
+    return;
+  }
+
+  let attachToClusterModuleId;
+  if (cluster.nodeCount() === 1) {
+    // attach to the one node, I've found this has a better layout, YMMV
+    const nodeIds = Object.keys(cluster.nodes.items);
+    attachToClusterModuleId = _.first(nodeIds);
+  }
+  else {
+    // to create an edge from a cluster to a node, you still have to use a node in the cluster
+    // so create a hidden node:
+    const hiddenNodeId = `${clusterId}hidden`;
+    const hiddenNode = cluster.addNode(hiddenNodeId, []);
+    hiddenNode.set('style', 'invis');
+    hiddenNode.set('label', '');
+    hiddenNode.set('fixedsize', true);
+    hiddenNode.set('margin', 0);
+    hiddenNode.set('width', 0);
+    hiddenNode.set('height', 0);
+    attachToClusterModuleId = hiddenNodeId;
+  }
+
+  clusterDetails.files.forEach(f => {
+    const fileEdge = graph.addEdge(attachToClusterModuleId, `file_${f}`, []);
+    fileEdge.set('arrowsize', '.75');
+    fileEdge.set('color', hslToGraphvizHsv([blueHue, 58, 45]));
+    // set logical tail to cluster so edge starts at cluster, basically graphviz stops rendering edge once it hits cluster, not all the way in to the node
+    // ltail will escape passed string ID, so don't escape it
+    fileEdge.set('ltail', clusterId);
+  });
+}
+
+// returns the graph in the dot language, pass it to render to get svg or html
+function createGraph(stats, options) {
+  return buildGraph(stats, options).to_dot();
+}
+
+module.exports = {
+  buildGraph,
+  createGraph,
+  isBigGraph,
+  resolveCollapse,
+  autoCollapseMessage,
+  findModuleNodes,
+  createStyledCluster,
+  escapeRecordText,
+  escapeLabelText,
+};
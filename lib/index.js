@@ -0,0 +1,35 @@
+// node API, the CLI in index.js is a thin wrapper around these
+const {buildGraph, createGraph, isBigGraph, resolveCollapse} = require('./graph');
+const {render, renderHtml, createViewerData, hasDot} = require('./render');
+const {writeGraphFiles} = require('./output');
+const {defaultOptions} = require('./options');
+const {normalizeStats} = require('./normalize');
+const {readStatsFile} = require('./stats');
+const {readBundleSizes} = require('./bundle-sizes');
+const {findDuplicates} = require('./duplicates');
+const {summarizeLoaders} = require('./loaders');
+const {archiveGraphFiles, listArchive, pruneArchive, removeArchivedBuild} = require('./archive');
+const WebpackStatsGraphPlugin = require('./plugin');
+
+module.exports = {
+  createGraph,
+  buildGraph,
+  render,
+  renderHtml,
+  createViewerData,
+  hasDot,
+  isBigGraph,
+  resolveCollapse,
+  normalizeStats,
+  readStatsFile,
+  readBundleSizes,
+  findDuplicates,
+  summarizeLoaders,
+  writeGraphFiles,
+  archiveGraphFiles,
+  listArchive,
+  pruneArchive,
+  removeArchivedBuild,
+  defaultOptions,
+  WebpackStatsGraphPlugin,
+};
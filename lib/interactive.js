@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const {createModuleParser, dependencyDisplayText} = require('./modules');
+const {chunkDisplayName} = require('./chunks');
+const {displaySize} = require('./size');
+const {normalizeStats} = require('./normalize');
+const {isCompilationCluster} = require('./nodes');
+
+// the viewer is inlined so interactive.html is a single file that works from file:// with no network
+const viewerScript = fs.readFileSync(path.join(__dirname, 'viewer', 'viewer.js'), 'utf8');
+const viewerStyle = fs.readFileSync(path.join(__dirname, 'viewer', 'viewer.css'), 'utf8');
+
+// strip the xml declaration and doctype that dot writes, they aren't allowed inside html
+function inlineSvg(svg) {
+  return svg
+    .replace(/<\?xml[^>]*\?>/, '')
+    .replace(/<!DOCTYPE[^>]*>/, '')
+    .trim();
+}
+
+// sources of huge modules (i.e. lodash) would bloat interactive.html
+const maxSourceLength = 50000;
+
+// details shown in the viewer's side panel, keyed by graph node id
+function moduleData(m, parsed, modulesById, chunksById) {
+  const source = m.source && m.source.length > maxSourceLength
+    ? m.source.substr(0, maxSourceLength) + '\n\n... truncated'
+    : m.source;
+  return {
+    name: m.name,
+    label: parsed.label,
+    packageName: parsed.packageDetails.name,
+    size: m.size,
+    sizeText: displaySize(m.size),
+    // with readBundleSizes, null otherwise
+    parsedSizeText: m.parsedSize === undefined ? null : displaySize(m.parsedSize),
+    gzipSizeText: m.gzipSize === undefined ? null : displaySize(m.gzipSize),
+    depth: m.depth,
+    chunks: (m.chunks || []).map(id => chunksById[id] ? chunkDisplayName(chunksById[id]).toString() : id.toString()),
+    reasons: parsed.issuers.map(issuer => ({
+      module: modulesById[issuer.graphId] ? modulesById[issuer.graphId].name : issuer.graphId,
+      type: issuer.type,
+      typeText: dependencyDisplayText(issuer),
+    })),
+    providedExports: m.providedExports || null,
+    usedExports: m.usedExports === undefined ? null : m.usedExports,
+    source: source || null,
+  };
+}
+
+const stripQuotes = id => id.replace(/^"|"$/g, '');
+
+// ids of the nodes and clusters in a cluster or a graph, including nested clusters
+function collectClusterContents(cluster) {
+  const nested = Object.keys(cluster.clusters.items).map(id => cluster.clusters.items[id]);
+  const nestedContents = nested.map(collectClusterContents);
+  return {
+    nodeIds: Object.keys(cluster.nodes.items).concat(_.flatMap(nestedContents, c => c.nodeIds)),
+    clusterIds: nested.map(c => stripQuotes(c.id)).concat(_.flatMap(nestedContents, c => c.clusterIds)),
+  };
+}
+
+// graphviz doesn't nest nodes inside cluster groups in the svg, so the viewer needs to know which nodes belong to which cluster
+// with multi-compiler stats the chunk clusters are nested in compilation clusters, list them too, labeled compilation/chunk
+function clusterData(graph, parentLabel) {
+  return _.flatMap(Object.keys(graph.clusters.items), id => {
+    const cluster = graph.clusters.items[id];
+    const label = String(cluster.get('label') || stripQuotes(cluster.id));
+    const contents = collectClusterContents(cluster);
+    const data = {
+      id: stripQuotes(cluster.id),
+      label: (parentLabel ? `${parentLabel}/${label}` : label).replace(/\n/g, ' '),
+      isVisualOverlap: label.startsWith('overlap:'),
+      nodeIds: contents.nodeIds,
+      clusterIds: contents.clusterIds,
+    };
+    return isCompilationCluster(cluster) ? [data].concat(clusterData(cluster, label)) : [data];
+  });
+}
+
+// data embedded next to the svg for search, chunk filters and the module details panel
+// graph is the object from buildGraph, without it there are no chunk filters
+// options.labelPaths should be the same as for the graph, see createPathLabeler
+function createViewerData(stats, graph, options) {
+  stats = normalizeStats(stats);
+  const modulesById = _.keyBy(stats.modules, m => m.id.toString());
+  const chunksById = _.keyBy(stats.chunks, 'id');
+  // labels are searched, with the same labels as the graph
+  const parseModule = createModuleParser(stats.modules, options);
+  // with a graph only modules that have a node in it, hidden and collapsed modules can't be clicked, this keeps big graphs' html small
+  const nodeIds = graph ? _.keyBy(collectClusterContents(graph).nodeIds) : undefined;
+  const shownModules = nodeIds ? _.pickBy(modulesById, (m, id) => nodeIds[id] !== undefined) : modulesById;
+  return {
+    hash: stats.hash,
+    modules: _.mapValues(shownModules, m => moduleData(m, parseModule(m), modulesById, chunksById)),
+    clusters: graph ? clusterData(graph) : [],
+  };
+}
+
+// </script> in sources would end the script element early
+function embedJson(data) {
+  return JSON.stringify(data || {modules: {}, clusters: []}).replace(/<\//g, '<\\/');
+}
+
+function interactiveHtml(svg, data) {
+
+  return `<!DOCTYPE html>
+<html>
+
+<head>
+    <meta charset="utf-8">
+    <style>
+${viewerStyle}
+    </style>
+</head>
+
+<body>
+    <div id="toolbar">
+        <input id="search" type="search" placeholder="Search modules and packages" autocomplete="off">
+        <ul id="search-results"></ul>
+        <details id="clusters">
+            <summary>Chunks</summary>
+            <div id="cluster-list"></div>
+        </details>
+    </div>
+    <aside id="details" hidden>
+        <button id="close-details" title="Close">&times;</button>
+        <div id="details-content"></div>
+    </aside>
+    <h4 id="instructions">Click node to highlight and show details; Shift-scroll to zoom; Esc to unhighlight; use browser zoom to maintain zoom across refreshes</h4>
+    <div id="graph">
+${inlineSvg(svg)}
+    </div>
+
+    <script type="application/json" id="graph-data">${embedJson(data)}</script>
+    <script type="text/javascript">
+${viewerScript}
+    </script>
+</body>
+
+</html>`;
+}
+
+module.exports = {
+  interactiveHtml,
+  createViewerData,
+};
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const {StringDecoder} = require('string_decoder');
+const _ = require('lodash');
+
+// stats files of big builds can be hundreds of MB, JSON.parse needs the whole file in memory and then builds every value in it
+// this reads the file in chunks and only builds the values a schema asks for, everything else is scanned past
+//
+// a schema is:
+// - true: keep the value as is
+// - {field: schema}: keep only these fields of an object, '*' applies to every other field, i.e. entrypoints by name
+// - [schema]: an array of values with the schema, an object schema also applies to each item of an array
+// - a number: keep strings up to this length, longer strings are dropped, i.e. module sources
+// values that don't have the shape of their schema, like null instead of an object, are kept as is
+
+const chunkSize = 1024 * 1024;
+
+function fieldSchema(schema, key) {
+  if (schema === true) {
+    return true;
+  }
+  return _.has(schema, key) ? schema[key] : schema['*'];
+}
+
+const itemSchema = schema => Array.isArray(schema) ? schema[0] : schema;
+
+function parseJsonFile(file, schema) {
+  const fd = fs.openSync(file, 'r');
+  const buffer = Buffer.alloc(chunkSize);
+  const decoder = new StringDecoder('utf8');
+  let text = '';
+  let position = 0;
+  // characters before text, for error messages
+  let offset = 0;
+  let ended = false;
+
+  // reads the next chunk, returns false at the end of the file
+  function read() {
+    if (ended) {
+      return false;
+    }
+    const bytes = fs.readSync(fd, buffer, 0, chunkSize, null);
+    offset += position;
+    text = text.slice(position) + (bytes === 0 ? decoder.end() : decoder.write(buffer.slice(0, bytes)));
+    position = 0;
+    ended = bytes === 0;
+    return true;
+  }
+
+  function fail(message) {
+    throw new Error(`Invalid JSON in ${file} at character ${offset + position}: ${message}`);
+  }
+
+  // the next character that isn't whitespace, without consuming it
+  const nonWhitespace = /\S/g;
+  function peek() {
+    for (;;) {
+      nonWhitespace.lastIndex = position;
+      const match = nonWhitespace.exec(text);
+      if (match) {
+        position = match.index;
+        return text[position];
+      }
+      position = text.length;
+      if (!read()) {
+        return undefined;
+      }
+    }
+  }
+
+  function expect(char) {
+    if (peek() !== char) {
+      fail(`expected ${char} but found ${peek() === undefined ? 'the end of the file' : peek()}`);
+    }
+    position++;
+  }
+
+  // maxLength: keep the string only if it's this long or shorter, Infinity to always keep it, 0 to skip it
+  const stringEnd = /["\\]/g;
+  function parseString(maxLength) {
+    expect('"');
+    let raw = '';
+    let keep = maxLength > 0;
+    for (;;) {
+      stringEnd.lastIndex = position;
+      const match = stringEnd.exec(text);
+      const end = match ? match.index : text.length;
+      if (keep) {
+        raw += text.slice(position, end);
+        // escapes make raw longer than the string, so this is only a first check
+        keep = raw.length <= maxLength * 6;
+        raw = keep ? raw : '';
+      }
+      position = end;
+      if (!match) {
+        if (!read()) {
+          fail('unterminated string');
+        }
+        continue;
+      }
+      if (match[0] === '"') {
+        position++;
+        break;
+      }
+      // an escape, the escaped character can be in the next chunk
+      if (position + 1 >= text.length && !read()) {
+        fail('unterminated string');
+      }
+      if (keep) {
+        raw += text.substr(position, 2);
+      }
+      position += 2;
+    }
+    if (!keep) {
+      return undefined;
+    }
+    const value = JSON.parse(`"${raw}"`);
+    return value.length <= maxLength ? value : undefined;
+  }
+
+  // numbers, true, false and null
+  const literalEnd = /[^-+.0-9a-zA-Z]/g;
+  function parseLiteral() {
+    let token = '';
+    for (;;) {
+      literalEnd.lastIndex = position;
+      const match = literalEnd.exec(text);
+      const end = match ? match.index : text.length;
+      token += text.slice(position, end);
+      position = end;
+      if (match || !read()) {
+        break;
+      }
+    }
+    if (!token) {
+      fail(`unexpected ${peek() === undefined ? 'end of the file' : peek()}`);
+    }
+    try {
+      return JSON.parse(token);
+    }
+    catch (e) {
+      fail(`unexpected ${token}`);
+    }
+  }
+
+  // skips objects and arrays by counting brackets, only strings need to be parsed
+  const structural = /["{}[\]]/g;
+  function skipValue() {
+    const char = peek();
+    if (char === '"') {
+      parseString(0);
+      return;
+    }
+    if (char !== '{' && char !== '[') {
+      parseLiteral();
+      return;
+    }
+    position++;
+    let depth = 1;
+    while (depth > 0) {
+      structural.lastIndex = position;
+      const match = structural.exec(text);
+      if (!match) {
+        position = text.length;
+        if (!read()) {
+          fail('unexpected end of the file');
+        }
+        continue;
+      }
+      position = match.index;
+      if (match[0] === '"') {
+        parseString(0);
+        continue;
+      }
+      depth += match[0] === '{' || match[0] === '[' ? 1 : -1;
+      position++;
+    }
+  }
+
+  function parseObject(schema) {
+    expect('{');
+    const value = {};
+    if (peek() === '}') {
+      position++;
+      return value;
+    }
+    for (;;) {
+      const key = parseString(Infinity);
+      expect(':');
+      const valueSchema = fieldSchema(schema, key);
+      if (valueSchema === undefined || key === '__proto__') {
+        skipValue();
+      }
+      else {
+        const fieldValue = parseValue(valueSchema);
+        if (fieldValue !== undefined) {
+          value[key] = fieldValue;
+        }
+      }
+      if (peek() === '}') {
+        position++;
+        return value;
+      }
+      expect(',');
+    }
+  }
+
+  function parseArray(schema) {
+    expect('[');
+    const value = [];
+    if (peek() === ']') {
+      position++;
+      return value;
+    }
+    for (;;) {
+      value.push(parseValue(itemSchema(schema)));
+      if (peek() === ']') {
+        position++;
+        return value;
+      }
+      expect(',');
+    }
+  }
+
+  function parseValue(schema) {
+    const char = peek();
+    if (char === '{') {
+      return parseObject(schema);
+    }
+    if (char === '[') {
+      return parseArray(schema);
+    }
+    if (char === '"') {
+      return parseString(typeof schema === 'number' ? schema : Infinity);
+    }
+    return parseLiteral();
+  }
+
+  try {
+    const value = parseValue(schema);
+    if (peek() !== undefined) {
+      fail(`unexpected ${peek()} after the end of the JSON`);
+    }
+    return value;
+  }
+  finally {
+    fs.closeSync(fd);
+  }
+}
+
+// the same as parseJsonFile for a value that's already in memory, i.e. stats from the webpack plugin
+function pickFields(value, schema) {
+  if (typeof value === 'string' && typeof schema === 'number') {
+    return value.length <= schema ? value : undefined;
+  }
+  if (schema === true || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => pickFields(item, itemSchema(schema)));
+  }
+  const picked = {};
+  Object.keys(value).forEach(key => {
+    const valueSchema = fieldSchema(schema, key);
+    const pickedValue = valueSchema === undefined ? undefined : pickFields(value[key], valueSchema);
+    if (pickedValue !== undefined) {
+      picked[key] = pickedValue;
+    }
+  });
+  return picked;
+}
+
+module.exports = {
+  parseJsonFile,
+  pickFields,
+};
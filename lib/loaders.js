@@ -0,0 +1,96 @@
+const path = require('path');
+const url = require('url');
+const _ = require('lodash');
+const {displaySize, sizeOf} = require('./size');
+const {normalizeStats} = require('./normalize');
+const {parseContextModule} = require('./context-modules');
+
+// one part of a request like ./node_modules/css-loader/index.js?modules!./src/style.css
+// webpack 5 identifiers refer to loader options with ??ruleSet[1].rules[0].use[1], that's kept as the query
+function parseRequestPart(request) {
+  const queryStart = request.indexOf('?');
+  const pathname = queryStart === -1 ? request : request.substr(0, queryStart);
+  return {
+    request,
+    pathname,
+    query: queryStart === -1 ? '' : request.substr(queryStart),
+  };
+}
+
+// loaders are shown by package name, with the file if it's informative, i.e. style-loader - url.js
+function loaderDisplayText(loader) {
+  const pathname = url.parse(loader.pathname).pathname || loader.pathname;
+  const showFile = path.basename(pathname);
+  if (!pathname.includes('node_modules/')) {
+    return showFile;
+  }
+  const loaderPackageName = pathname.match(/.*node_modules\/(@[^\/]+\/[^\/]+|[^\/]+)/);
+  const showPackageName = loaderPackageName ? loaderPackageName[1] : '';
+  if (!showPackageName) {
+    return showFile;
+  }
+  const uninformativeNames = ['index.js', 'loader.js'];
+  if (showFile === showPackageName || uninformativeNames.includes(showFile)) {
+    return showPackageName;
+  }
+  return showPackageName + ' - ' + showFile;
+}
+
+// the package (or file for local loaders) that's counted in the summary, regardless of which file of the package is the loader
+function loaderName(loader) {
+  const packageName = loader.pathname.match(/.*node_modules\/(@[^\/]+\/[^\/]+|[^\/]+)/);
+  return packageName ? packageName[1] : path.basename(loader.pathname);
+}
+
+// loaders in the order of the request, the last loader runs first, and the resource they load
+// -!, !! and ! prefixes that disable configured loaders are dropped
+function parseLoaders(request) {
+  const parts = request.replace(/^-?!+/, '').split('!');
+  return {
+    loaders: _.initial(parts).filter(p => p).map(parseRequestPart),
+    resource: parseRequestPart(_.last(parts)),
+  };
+}
+
+// webpack 4+ identifiers have the configured loaders too, names only have inline loaders
+// identifiers of modules other than javascript/auto are prefixed with their type, i.e. javascript/esm|
+// and mini-css-extract-plugin's are like css <request> 0
+function moduleRequest(m) {
+  return m.identifier
+    ? m.identifier.replace(/^[a-z-]+\/[a-z-]+\|/, '').replace(/^css (.*) \d+$/, '$1')
+    : m.name;
+}
+
+// loaders by the number of modules and bytes they touch, most bytes first
+function summarizeLoaders(stats, options) {
+  options = options || {};
+  const modules = normalizeStats(stats).modules.filter(m => !parseContextModule(m));
+  const usages = _.flatMap(modules, m => _.uniq(parseLoaders(moduleRequest(m)).loaders.map(loaderName))
+    .map(name => ({name, size: sizeOf(m, options.sizeType)})));
+  const results = _.chain(usages)
+    .groupBy('name')
+    .map((moduleUsages, name) => ({
+      name,
+      modules: moduleUsages.length,
+      size: _.sumBy(moduleUsages, 'size'),
+    }))
+    .value();
+  return _.orderBy(results, ['size', 'name'], ['desc', 'asc']);
+}
+
+function formatLoaderSummary(results) {
+  if (results.length === 0) {
+    return 'No loaders in the stats';
+  }
+  return [`${results.length} ${results.length === 1 ? 'loader' : 'loaders'}:`]
+    .concat(results.map(r => `  ${r.name}: ${r.modules} ${r.modules === 1 ? 'module' : 'modules'}, ${displaySize(r.size)}`))
+    .join('\n');
+}
+
+module.exports = {
+  parseLoaders,
+  loaderDisplayText,
+  moduleRequest,
+  summarizeLoaders,
+  formatLoaderSummary,
+};
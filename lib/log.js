@@ -0,0 +1,15 @@
+const chalk = require('chalk');
+
+const doNothing = m => m;
+
+function createLogger(quiet) {
+  return {
+    error: message => console.log(chalk.bold.red('ERROR: ' + message)),
+    warn: quiet
+      ? doNothing : message => console.log(chalk.keyword('orange')('WARNING: ' + message)),
+    info: quiet
+      ? doNothing : message => console.log(message),
+  };
+}
+
+module.exports = createLogger;
@@ -0,0 +1,177 @@
+const path = require('path');
+const _ = require('lodash');
+const {parseLoaders, loaderDisplayText, moduleRequest} = require('./loaders');
+const {parseContextModule, contextDisplayText} = require('./context-modules');
+
+function dependencyDisplayText(dep) {
+  // this needs work
+  switch (dep.type) {
+    case 'harmony import':
+    case 'harmony side effect evaluation':
+    case 'harmony import specifier':
+      return 'esm';
+    case 'require import':
+      return 'require';
+    case 'cjs require':
+      return 'cjs';
+  }
+  return dep.type.replace(' ', '');
+}
+
+// the module's file for labels, without loaders, query and leading ./, i.e. src/components/button/index.js
+function resourcePath(m) {
+  return parseLoaders(m.name).resource.pathname.replace(/^\.\//, '');
+}
+
+// labelPaths picks how much of a module's path its label shows:
+// basename: index.js, files in different folders with the same name look the same
+// suffix: the fewest trailing folders that tell the file apart from every other module's file, i.e. button/index.js
+// relative: relative to the project root (webpack's context), i.e. src/components/button/index.js
+// full: the absolute path from the module's identifier with / on windows too, stats without identifiers fall back to relative
+function createPathLabeler(modules, labelPaths) {
+  if (labelPaths === 'basename') {
+    return m => path.basename(resourcePath(m));
+  }
+  if (labelPaths === 'relative') {
+    return resourcePath;
+  }
+  if (labelPaths === 'full') {
+    return m => m.identifier ? parseLoaders(moduleRequest(m)).resource.pathname.replace(/\\/g, '/') : resourcePath(m);
+  }
+  // shortest first, a file's own path is unique even if it's a suffix of another file's
+  const suffixes = filePath => {
+    const segments = filePath.split('/');
+    return segments.map((segment, i) => segments.slice(segments.length - 1 - i).join('/'));
+  };
+  // the same file can be more than one module, i.e. with different loaders or in more than one compilation
+  const suffixCounts = _.countBy(_.flatMap(_.uniq(modules.map(resourcePath)), suffixes));
+  return m => {
+    const filePath = resourcePath(m);
+    return _.find(suffixes(filePath), suffix => suffixCounts[suffix] === 1) || filePath;
+  };
+}
+
+// parses modules with labels from options.labelPaths, suffix labels depend on all of the modules so pass all of them
+function createModuleParser(modules, options) {
+  const labelPath = createPathLabeler(modules, (options || {}).labelPaths);
+  return m => parseModule(m, labelPath);
+}
+
+// labelPath is from createPathLabeler, defaults to basenames
+function parseModule(m, labelPath) {
+  // Understanding node's path module helps with the following code:
+  // https://nodejs.org/api/path.html
+
+  // determine if module is a node_module npm package
+  // yes I know this is confusing because we also use graph nodes to represent modules :)
+  // split out inline loaders - a loader in the module request
+  const splitLoadersFromName = m.name.split('!');
+  // last item is name even if no loaders
+  const nameWithoutLoaders = _.last(splitLoadersFromName);
+  // identifiers have the configured loaders too, names only have inline loaders
+  const request = parseLoaders(moduleRequest(m));
+  // require.context and requests with expressions, see context-modules.js
+  const context = parseContextModule(m);
+  const packageDetails = {};
+  const isNodeModule = nameWithoutLoaders.includes('node_modules');
+  if (isNodeModule) {
+    // say we have this package: "./node_modules/style-loader/lib/urls.js"
+
+    // then package name is style-loader
+    // match both scoped and not package names
+    // nested node_modules (i.e. ./node_modules/a/node_modules/b/index.js) belong to the innermost package
+    // regex tester: https://regex101.com
+    // context modules belong to the package of their directory, i.e. ./node_modules/moment/locale/
+    const packagePath = context ? `${context.directory}/` : nameWithoutLoaders;
+    const extractPackageDetails = packagePath.match(/^(.*node_modules\/(@[^\/]+\/[^\/]+|[^\/]+))\/(.*)/);
+    packageDetails.name = extractPackageDetails ? extractPackageDetails[2] : '';
+    // and directory is ./node_modules/style-loader, used to find the package.json
+    packageDetails.directory = extractPackageDetails ? extractPackageDetails[1] : '';
+    // and filePath is lib/urls.js
+    packageDetails.filePath = extractPackageDetails ? extractPackageDetails[3] : '';
+
+    // and filename is urls.js
+    packageDetails.filename = packageDetails.filePath ? path.basename(packageDetails.filePath) : '';
+  }
+
+  // see createPathLabeler for how much of the path is shown
+  const pathLabel = labelPath ? labelPath(m) : path.basename(resourcePath(m));
+
+  function moduleDisplayText() {
+
+    if (context) {
+      return contextDisplayText(context);
+    }
+
+    if (request.loaders.length > 0) {
+      // show multi line label with one loader per line, and last line is the file
+      // graph.js shows these as a record with a cell per loader, with the query if requested
+      return request.loaders
+        .map(loaderDisplayText)
+        .concat(pathLabel)
+        .join('!\n');
+    }
+    // the query tells apart modules of the same file, i.e. ./icon.svg?inline
+    return pathLabel + request.resource.query;
+  }
+
+  return {
+    // make sure to use string for id, graphviz npm library fails on non-strings
+    graphId: m.id.toString(),
+    label: moduleDisplayText().replace(/"/g, '\''),
+    pathLabel,
+    // directory of the file, relative to the project root, i.e. src/components/button
+    directory: context ? context.directory.replace(/^\.\//, '') : path.dirname(resourcePath(m)),
+    // full identifier for hover titles, names are shortened by webpack
+    identifier: m.identifier || m.name,
+    depth: m.depth,
+    issuers: m.reasons
+    // Stats.js filters out modules only https://github.com/webpack/webpack/blob/5433b8cc785c6e71c29ce5f932ae6595f2d7acb5/lib/Stats.js#L335
+      .map(d => ({
+        // again make sure to use string for id:
+        graphId: d.moduleId.toString(),
+        type: d.type,
+      })),
+    chunks: m.chunks,
+    // name of the compilation with multi-compiler stats, see normalize.js
+    compilation: m.compilation,
+    // {request, pathname, query} of loaders in request order, the last one runs first
+    // context regexes can have a ! in them
+    loaders: context ? [] : request.loaders,
+    resource: request.resource,
+    // {directory, mode, recursive, regExp, include, exclude, chunkName} of context modules
+    context,
+    fileExtension: context ? '' : path.parse(m.name).ext,
+    source: m.source,
+    size: m.size,
+    parsedSize: m.parsedSize,
+    gzipSize: m.gzipSize,
+    packageDetails: packageDetails,
+    name: m.name,
+    hasExports: !!m.providedExports,
+    providedExports: m.providedExports || [],
+    // true: all exports used, false: module unused, array: used export names, null: usage not analyzed
+    usedExports: m.usedExports === undefined ? null : m.usedExports,
+    index: m.index,
+    index2: m.index2,
+  }
+}
+
+// exports are only unused if webpack analyzed usage, see optimization.usedExports
+function isExportUsed(parsedModule, name) {
+  const usedExports = parsedModule.usedExports;
+  if (usedExports === null || usedExports === true) {
+    return true;
+  }
+  if (usedExports === false) {
+    return false;
+  }
+  return usedExports.indexOf(name) > -1;
+}
+
+module.exports = {
+  parseModule,
+  createModuleParser,
+  dependencyDisplayText,
+  isExportUsed,
+};
@@ -0,0 +1,68 @@
+const graphviz = require('graphviz');
+const {hslToGraphvizHsv} = require('./colors');
+
+// a left to right digraph with the fonts and node defaults shared by all views
+function createDigraph(label) {
+  const graph = graphviz.digraph('G');
+  graph.set('rankdir', 'LR');
+  graph.set('fontsize', 12);
+
+  graph.set('label', label);
+  graph.set('labelloc', 't');
+  graph.setNodeAttribut('fontsize', 12);
+  graph.setEdgeAttribut('fontsize', 10);
+  graph.setNodeAttribut('width', 0);
+  graph.setNodeAttribut('height', 0);
+  graph.setNodeAttribut('margin', [0.2, 0.1]);
+  const fontNames = 'gotham-book,sans-serif';
+  graph.set('fontname', fontNames);
+  graph.setNodeAttribut('fontname', fontNames);
+  graph.setEdgeAttribut('fontname', fontNames);
+  return graph;
+}
+
+const compilationClusterPrefix = 'cluster_compilation_';
+
+// with multi-compiler stats each compilation is a top level cluster around its chunks
+// returns a function that gives the graph or cluster to add a chunk's nodes to
+function createCompilationClusters(graph) {
+  const clusters = {};
+  return chunk => {
+    if (!chunk || !chunk.compilation) {
+      return graph;
+    }
+    if (!clusters[chunk.compilation]) {
+      const cluster = graph.addCluster(`"${compilationClusterPrefix}${chunk.compilation}"`);
+      cluster.set('label', chunk.compilation);
+      cluster.set('fontcolor', hslToGraphvizHsv([0, 0, 28]));
+      cluster.set('color', hslToGraphvizHsv([0, 0, 55]));
+      cluster.set('style', 'dashed');
+      clusters[chunk.compilation] = cluster;
+    }
+    return clusters[chunk.compilation];
+  };
+}
+
+function isCompilationCluster(cluster) {
+  return cluster.id.replace(/^"/, '').startsWith(compilationClusterPrefix);
+}
+
+// the graphviz lib has no lookup across clusters, and edges added from the top level graph create a second reference to the same node id
+// so return every node object with this id, set attributes on all of them
+function findNodes(graph, id) {
+  const nodes = [];
+  const node = graph.getNode(id);
+  if (node) {
+    nodes.push(node);
+  }
+  Object.keys(graph.clusters.items)
+    .forEach(clusterId => nodes.push(...findNodes(graph.clusters.items[clusterId], id)));
+  return nodes;
+}
+
+module.exports = {
+  createDigraph,
+  createCompilationClusters,
+  isCompilationCluster,
+  findNodes,
+};
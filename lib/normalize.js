@@ -0,0 +1,185 @@
+const _ = require('lodash');
+
+// Everything else in lib reads the webpack 2/3 stats layout, this converts stats from any supported webpack version into it:
+// - modules are a flat list at the top level, each with an id, chunks and reasons with a moduleId
+// - concatenated modules (webpack 4+) are replaced by the modules they contain
+// - reasons that only have a moduleIdentifier (webpack 5) get the id of that module, reasons without a module (i.e. entry) are dropped
+// - multi-compiler stats are merged into one compilation, ids are prefixed per compilation and chunks are tagged with the compilation name
+
+// normalizing is idempotent, this avoids repeating the work when stats are passed from function to function
+const normalizedStats = new WeakSet();
+
+function isMultiCompiler(stats) {
+  return !stats.modules && !stats.chunks && _.size(stats.children) > 0;
+}
+
+function isMissing(id) {
+  return id === null || id === undefined || id === '';
+}
+
+// webpack 5 can group modules, i.e. "modules by path", the actual modules are the group's children
+function flattenModuleGroups(modules) {
+  return _.flatMap(modules, m => m.children && !m.name ? flattenModuleGroups(m.children) : [m])
+    .filter(m => m.name);
+}
+
+// concatenated modules are named like "./src/index.js + 3 modules", the root module has the same name without the suffix
+function rootOfConcatenatedModule(m) {
+  const rootName = m.name.replace(/ \+ \d+ modules?$/, '');
+  return _.find(m.modules, inner => inner.name === rootName) || _.first(m.modules);
+}
+
+function normalizeCompilation(stats) {
+  const chunks = (stats.chunks || []).map(c => Object.assign({}, c, {
+    names: c.names || (c.name ? [c.name] : []),
+    files: c.files || [],
+  }));
+
+  // stats created with chunkModules but without top level modules have modules only in their chunks
+  const topLevelModules = stats.modules
+    || _.flatMap(chunks, c => (c.modules || []).map(m => Object.assign({chunks: [c.id]}, m)));
+
+  const modules = [];
+  // identifiers and ids of concatenated modules point at their root module
+  const idsByIdentifier = {};
+  const aliasedIds = {};
+  const moduleId = m => isMissing(m.id) ? (m.identifier || m.name) : m.id;
+  flattenModuleGroups(topLevelModules)
+    // with orphanModules webpack 5 also lists the modules inside concatenated modules at the top level, without chunks
+    .filter(m => !m.orphan)
+    .forEach(m => {
+      if (_.size(m.modules) === 0) {
+        modules.push(Object.assign({}, m, {id: moduleId(m)}));
+        return;
+      }
+      m.modules.forEach(inner => modules.push(Object.assign({}, inner, {
+        id: moduleId(inner),
+        chunks: _.size(inner.chunks) > 0 ? inner.chunks : m.chunks,
+        depth: isMissing(inner.depth) ? m.depth : inner.depth,
+        concatenatedInto: m.name,
+      })));
+      const root = rootOfConcatenatedModule(m);
+      if (m.identifier) {
+        idsByIdentifier[m.identifier] = moduleId(root);
+      }
+      if (!isMissing(m.id)) {
+        aliasedIds[m.id] = moduleId(root);
+      }
+    });
+
+  // merged multi-compiler stats (i.e. read back from the archive) have the same module in more than one compilation
+  const uniqueModules = _.uniqBy(modules, m => `${m.compilation || ''}\n${m.identifier || m.name}`);
+  uniqueModules.forEach(m => {
+    if (m.identifier) {
+      idsByIdentifier[m.identifier] = m.id;
+    }
+  });
+  const knownIds = _.keyBy(uniqueModules, m => m.id.toString());
+
+  function resolveReasonModuleId(reason) {
+    if (reason.moduleIdentifier && idsByIdentifier[reason.moduleIdentifier] !== undefined) {
+      return idsByIdentifier[reason.moduleIdentifier];
+    }
+    if (isMissing(reason.moduleId)) {
+      return undefined;
+    }
+    if (aliasedIds[reason.moduleId] !== undefined) {
+      return aliasedIds[reason.moduleId];
+    }
+    return knownIds[reason.moduleId.toString()] ? reason.moduleId : undefined;
+  }
+
+  uniqueModules.forEach(m => {
+    m.chunks = m.chunks || [];
+    m.size = m.size || 0;
+    m.index = isMissing(m.index) ? m.preOrderIndex : m.index;
+    m.index2 = isMissing(m.index2) ? m.postOrderIndex : m.index2;
+    const reasons = (m.reasons || [])
+      .map(r => Object.assign({}, r, {moduleId: resolveReasonModuleId(r)}))
+      .filter(r => r.moduleId !== undefined && r.moduleId.toString() !== m.id.toString());
+    // webpack 4+ lists a reason per import statement and per imported specifier, one per issuer is enough for edges
+    m.reasons = _.uniqBy(reasons, r => r.moduleId.toString());
+  });
+
+  return Object.assign({}, stats, {
+    assets: stats.assets || [],
+    chunks,
+    modules: uniqueModules,
+    entrypoints: stats.entrypoints || {},
+    namedChunkGroups: stats.namedChunkGroups || {},
+  });
+}
+
+// ids are prefixed with the compilation's index so they can't collide across compilations
+function prefixCompilation(stats, index, name) {
+  const prefix = id => `${index}:${id}`;
+  const prefixFile = file => `${name}/${file}`;
+  // chunk groups are keyed by name, i.e. entrypoints.main
+  const prefixChunkGroups = groups => _.chain(groups)
+    .mapValues(group => Object.assign({}, group, {chunks: (group.chunks || []).map(prefix)}))
+    .mapKeys((group, groupName) => `${name}/${groupName}`)
+    .value();
+  return Object.assign({}, stats, {
+    assets: stats.assets.map(a => Object.assign({}, a, {
+      name: prefixFile(a.name),
+      chunks: (a.chunks || []).map(prefix),
+    })),
+    chunks: stats.chunks.map(c => Object.assign({}, c, {
+      id: prefix(c.id),
+      // the id in the compilation, for labels, see chunkDisplayName
+      displayId: c.id,
+      files: c.files.map(prefixFile),
+      parents: (c.parents || []).map(prefix),
+      children: (c.children || []).map(prefix),
+      siblings: (c.siblings || []).map(prefix),
+      compilation: name,
+    })),
+    modules: stats.modules.map(m => Object.assign({}, m, {
+      id: prefix(m.id),
+      chunks: m.chunks.map(prefix),
+      // identifiers aren't unique across compilations, reasons keep the resolved moduleId only
+      reasons: m.reasons.map(r => Object.assign(_.omit(r, 'moduleIdentifier'), {moduleId: prefix(r.moduleId)})),
+      compilation: name,
+    })),
+    entrypoints: prefixChunkGroups(stats.entrypoints),
+    namedChunkGroups: prefixChunkGroups(stats.namedChunkGroups),
+  });
+}
+
+function mergeCompilations(stats) {
+  const compilations = stats.children
+    .map((child, index) => {
+      const name = child.name || `compilation-${index}`;
+      return prefixCompilation(normalizeCompilation(child), index, name);
+    });
+  return Object.assign(_.omit(stats, 'children'), {
+    hash: stats.hash || compilations.map(c => c.hash).join('-'),
+    assets: _.flatMap(compilations, c => c.assets),
+    chunks: _.flatMap(compilations, c => c.chunks),
+    modules: _.flatMap(compilations, c => c.modules),
+    entrypoints: Object.assign({}, ...compilations.map(c => c.entrypoints)),
+    namedChunkGroups: Object.assign({}, ...compilations.map(c => c.namedChunkGroups)),
+    warnings: _.flatMap(compilations, c => c.warnings || []),
+    errors: _.flatMap(compilations, c => c.errors || []),
+  });
+}
+
+// copies of normalized stats with some fields changed (i.e. sizes from readBundleSizes) are still normalized
+function markNormalized(stats) {
+  normalizedStats.add(stats);
+  return stats;
+}
+
+function normalizeStats(stats) {
+  if (normalizedStats.has(stats)) {
+    return stats;
+  }
+  const normalized = isMultiCompiler(stats) ? mergeCompilations(stats) : normalizeCompilation(stats);
+  normalizedStats.add(normalized);
+  return normalized;
+}
+
+module.exports = {
+  normalizeStats,
+  markNormalized,
+};
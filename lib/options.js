@@ -0,0 +1,67 @@
+const _ = require('lodash');
+
+// defaults for options shared by the CLI, the webpack plugin and the node API
+// names match the camelCased CLI flags so parsed argv can be passed straight through
+const defaultOptions = {
+  showSize: false,
+  colorBySize: false,
+  // stat, parsed or gzip, parsed and gzip need sizes read from bundleDir (webpack's output.path), see readBundleSizes
+  sizeType: 'stat',
+  bundleDir: undefined,
+  showExports: false,
+  showHashes: true,
+  showSources: false,
+  showFiles: true,
+  showDepType: false,
+  showQueryString: false,
+  // how much of a module's path its label shows: basename, suffix (shortest unique), relative or full, see createPathLabeler
+  labelPaths: 'suffix',
+  bigGraphThreshold: 100,
+  // modules: a node per module clustered by chunk, chunks: a node per chunk with edges to the chunks it loads
+  view: 'modules',
+  collapsePackages: false,
+  // a node per directory of app modules, like collapsePackages
+  collapseDirectories: false,
+  // graphs with more modules are collapsed by package, and if that still leaves more nodes, by directory. 0 turns this off
+  collapseThreshold: 2000,
+  showCycles: true,
+  // packages bundled more than once, see findDuplicates
+  showDuplicates: true,
+  // print circular dependencies, with failOnNewCycles fail when there are cycles that weren't in the previous archived build
+  cycles: false,
+  failOnNewCycles: false,
+  include: [],
+  exclude: [],
+  hiddenPlaceholder: false,
+  focus: undefined,
+  upstream: 1,
+  downstream: 1,
+  // budget config object or path to a json file, relative to context
+  budget: undefined,
+  check: false,
+  // project root, used to find package.json files under node_modules, defaults to the current directory
+  context: undefined,
+  // see render for formats, more than one can be written at once
+  format: ['dot', 'svg', 'html'],
+  // auto, dot or wasm, see render
+  renderer: 'auto',
+  outputFolder: 'statsgraph',
+  archiveGraphs: true,
+  // also write a diff graph against the previous archived build to archive/<hash>/compare, it's a second full render
+  archiveCompare: false,
+  // retention, keep the last archiveKeep builds and/or builds newer than archiveKeepSince (a date or a duration like 30d)
+  archiveKeep: undefined,
+  archiveKeepSince: undefined,
+  // a different build with the hash of an archived build is archived as hash-2 (suffix) or fails (error)
+  archiveConflict: 'suffix',
+  quiet: false,
+};
+
+function resolveOptions(options) {
+  return Object.assign({}, defaultOptions, _.pickBy(options, o => o !== undefined));
+}
+
+module.exports = {
+  defaultOptions,
+  resolveOptions,
+};
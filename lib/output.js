@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const {ShellString, mkdir} = require('shelljs');
+const {buildGraph} = require('./graph');
+const {formats, render, renderHtml, createViewerData} = require('./render');
+const {resolveOptions} = require('./options');
+const {normalizeStats} = require('./normalize');
+const {buildDiffGraph} = require('./diff');
+const {archiveGraphFiles, readPreviousArchivedStats} = require('./archive');
+
+const fileNames = {
+  dot: 'graph.dot',
+  svg: 'graph.svg',
+  html: 'interactive.html',
+  json: 'graph.json',
+  mermaid: 'graph.mmd',
+  graphml: 'graph.graphml',
+  png: 'graph.png',
+  pdf: 'graph.pdf',
+};
+
+// writes a file per format (see render) for the graph object from buildGraph to outputDirectory, by default graph.dot, graph.svg and interactive.html
+// stats are embedded in interactive.html for search and module details
+// options are format and renderer, see render
+// returns paths of the written files keyed by format
+function writeDotFiles(graph, outputDirectory, stats, options) {
+  options = resolveOptions(options);
+  const selectedFormats = _.uniq(_.castArray(options.format));
+  const unsupported = _.difference(selectedFormats, formats);
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported format: ${unsupported.join(', ')}, use one of ${formats.join(', ')}`);
+  }
+  mkdir('-p', outputDirectory);
+  const files = {};
+  // the svg is rendered once for graph.svg and interactive.html
+  const svg = _.intersection(selectedFormats, ['svg', 'html']).length > 0 ? render(graph, {format: 'svg', renderer: options.renderer}) : undefined;
+  selectedFormats.forEach(f => {
+    files[f] = path.join(outputDirectory, fileNames[f]);
+    if (f === 'svg') {
+      ShellString(svg).to(files[f]);
+    }
+    else if (f === 'html') {
+      ShellString(renderHtml(svg, createViewerData(stats, graph, options))).to(files[f]);
+    }
+    else if (f === 'png' || f === 'pdf') {
+      // ShellString would write the buffer as text
+      fs.writeFileSync(files[f], render(graph, {format: f, renderer: options.renderer}));
+    }
+    else {
+      ShellString(render(graph, {format: f})).to(files[f]);
+    }
+  });
+  return files;
+}
+
+// same as writeDotFiles but builds the graph from stats and archives the files if archiveGraphs is set
+// with archiveCompare archived builds get a compare folder with the diff against the previous archived build, the archive index links to it
+function writeGraphFiles(stats, outputDirectory, options) {
+  stats = normalizeStats(stats);
+  options = resolveOptions(options);
+  const files = writeDotFiles(buildGraph(stats, options), outputDirectory, stats, options);
+  if (options.archiveGraphs) {
+    const previousStats = options.archiveCompare ? readPreviousArchivedStats(outputDirectory, stats.hash) : undefined;
+    files.archive = archiveGraphFiles(stats, outputDirectory, files, options, previousStats && previousStats.hash);
+    if (previousStats) {
+      // the diff graph has the removed modules too, so it works out its own collapse
+      const diffOptions = _.omit(options, 'collapse');
+      writeDotFiles(buildDiffGraph(previousStats, stats, diffOptions).graph, path.join(files.archive, 'compare'), stats, diffOptions);
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  writeDotFiles,
+  writeGraphFiles,
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+
+// resolve npm package versions, first from package.json files under node_modules in the project (options.context)
+// then from package.json modules in the stats data, i.e. when a package.json was bundled
+function createPackageVersionResolver(stats, options) {
+  const context = options.context || process.cwd();
+  const statsModulesByName = _.keyBy(stats.modules, 'name');
+
+  function fromNodeModules(directory) {
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(context, directory, 'package.json'), 'utf8')).version;
+    }
+    catch (e) {
+      return undefined;
+    }
+  }
+
+  function fromStats(directory) {
+    const packageJsonModule = statsModulesByName[`${directory}/package.json`];
+    if (!packageJsonModule || !packageJsonModule.source) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(packageJsonModule.source).version;
+    }
+    catch (e) {
+      // source of json modules can be transformed, i.e. module.exports = {...}
+      const version = packageJsonModule.source.match(/"version"\s*:\s*"([^"]+)"/);
+      return version ? version[1] : undefined;
+    }
+  }
+
+  return _.memoize(packageDetails => {
+    if (!packageDetails.directory) {
+      return undefined;
+    }
+    return fromNodeModules(packageDetails.directory) || fromStats(packageDetails.directory);
+  }, packageDetails => packageDetails.directory);
+}
+
+module.exports = {
+  createPackageVersionResolver,
+};
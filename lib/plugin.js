@@ -0,0 +1,136 @@
+const path = require('path');
+const {writeGraphFiles} = require('./output');
+const {isBigGraph, resolveCollapse, autoCollapseMessage} = require('./graph');
+const {checkRenderer} = require('./render');
+const {resolveOptions} = require('./options');
+const {normalizeStats} = require('./normalize');
+const {loadBudget, checkBudget, formatViolations, writeBudgetReports} = require('./budget');
+const {checkCycles, formatCycles} = require('./cycles');
+const {readPreviousArchivedStats} = require('./archive');
+const {readBundleSizes} = require('./bundle-sizes');
+const createLogger = require('./log');
+
+const pluginName = 'WebpackStatsGraphPlugin';
+
+// the parts of stats that buildGraph reads, everything else is left out to keep toJson fast
+const statsToJsonOptions = {
+  hash: true,
+  assets: true,
+  chunks: true,
+  chunkModules: false,
+  modules: true,
+  reasons: true,
+  source: true,
+  depth: true,
+  providedExports: true,
+  usedExports: true,
+  // webpack 5: ids of modules and chunks, modules inside concatenated modules and no grouping of modules by path
+  ids: true,
+  nestedModules: true,
+  modulesSpace: Infinity,
+};
+
+// regenerates the graph after every compilation, including in watch mode
+// options are the camelCased CLI flags, outputFolder is relative to webpack's context
+class WebpackStatsGraphPlugin {
+  constructor(options) {
+    this.options = resolveOptions(options);
+  }
+
+  apply(compiler) {
+    const done = stats => this.writeGraph(compiler, stats);
+    if (compiler.hooks) {
+      compiler.hooks.done.tap(pluginName, done);
+    }
+    else {
+      // webpack < 4
+      compiler.plugin('done', done);
+    }
+  }
+
+  writeGraph(compiler, webpackStats) {
+    const log = createLogger(this.options.quiet);
+    const rendererError = checkRenderer(this.options.format, this.options.renderer);
+    if (rendererError) {
+      log.error(`${pluginName}: ${rendererError}`);
+      return;
+    }
+
+    let stats = normalizeStats(webpackStats.toJson(statsToJsonOptions));
+    if (isBigGraph(stats, this.options)) {
+      log.warn(`Detected a large graph with ${stats.modules.length} modules, edges will be curvy instead of straight.`);
+    }
+    const collapse = resolveCollapse(stats, this.options);
+    const collapseMessage = autoCollapseMessage(stats, collapse, this.options);
+    if (collapseMessage) {
+      log.warn(`${pluginName}: ${collapseMessage}`);
+    }
+
+    const context = compiler.options.context || process.cwd();
+    // assets are emitted before done, parsed and gzip sizes are read from webpack's output.path unless bundleDir is set
+    const bundleDir = this.options.bundleDir
+      ? path.resolve(context, this.options.bundleDir)
+      : (this.options.sizeType !== 'stat' ? compiler.outputPath : undefined);
+    if (bundleDir) {
+      stats = readBundleSizes(stats, bundleDir);
+    }
+    const outputDirectory = path.resolve(context, this.options.outputFolder);
+    const options = Object.assign({}, this.options, {
+      context: this.options.context || context,
+      collapse,
+    });
+    let cycleCheck;
+    try {
+      if (options.budget) {
+        options.budget = loadBudget(options.budget, options.context);
+      }
+      // compare with the archive before this build is added to it
+      if (options.cycles) {
+        cycleCheck = checkCycles(stats, readPreviousArchivedStats(outputDirectory, stats.hash));
+      }
+      const files = writeGraphFiles(stats, outputDirectory, options);
+      log.info(`${pluginName}: wrote graph to ${path.relative(context, outputDirectory)}`);
+      if (files.archive) {
+        log.info(`${pluginName}: wrote archive files to ${files.archive}`);
+      }
+    }
+    catch (e) {
+      // don't fail the build because of the graph
+      log.error(`${pluginName}: ${e.message}`);
+      return;
+    }
+
+    if (cycleCheck) {
+      this.reportCycles(webpackStats, cycleCheck, options, log);
+    }
+
+    if (options.check && options.budget) {
+      this.checkBudget(webpackStats, stats, options, outputDirectory, log);
+    }
+  }
+
+  // with failOnNewCycles, new circular dependencies fail the build
+  reportCycles(webpackStats, cycleCheck, options, log) {
+    const report = `${pluginName}: ${formatCycles(cycleCheck.cycles, cycleCheck.newCycles)}`;
+    if (options.failOnNewCycles && cycleCheck.newCycles && cycleCheck.newCycles.length > 0) {
+      webpackStats.compilation.errors.push(new Error(report));
+    }
+    else {
+      log.info(report);
+    }
+  }
+
+  // budget violations fail the build, like any other compilation error
+  checkBudget(webpackStats, stats, options, outputDirectory, log) {
+    const results = checkBudget(stats, options.budget, options);
+    writeBudgetReports(results, outputDirectory);
+    if (results.some(r => !r.passed)) {
+      webpackStats.compilation.errors.push(new Error(`${pluginName}: ${formatViolations(results)}`));
+    }
+    else {
+      log.info(`${pluginName}: ${formatViolations(results)}`);
+    }
+  }
+}
+
+module.exports = WebpackStatsGraphPlugin;
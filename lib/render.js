@@ -0,0 +1,123 @@
+const {execFileSync} = require('child_process');
+const path = require('path');
+const _ = require('lodash');
+const {which} = require('shelljs');
+const {interactiveHtml, createViewerData} = require('./interactive');
+const {graphToJson, graphToMermaid, graphToGraphml} = require('./formats');
+
+function hasDot() {
+  return !!which('dot');
+}
+
+const missingDotMessage = 'This script requires the dot executable\nPlease make sure graphviz (http://www.graphviz.org/Download.php) is installed and the bin directory, which contains dot, is in the path.';
+
+// only the dot executable can write png and pdf
+const dotOnlyFormats = ['png', 'pdf'];
+
+// renderer is one of:
+// - auto: the dot executable if it's on the path, otherwise the wasm renderer
+// - dot: the dot executable
+// - wasm: graphviz compiled to WebAssembly, runs in node, see wasm-dot.js
+function resolveRenderer(renderer, outputFormat) {
+  if (renderer === 'dot' || renderer === 'wasm') {
+    return renderer;
+  }
+  return hasDot() || dotOnlyFormats.includes(outputFormat) ? 'dot' : 'wasm';
+}
+
+// outputFormat is a dot -T format, svg is returned as a string, png and pdf as buffers
+function renderWithDot(dot, outputFormat, renderer) {
+  const resolvedRenderer = resolveRenderer(renderer, outputFormat);
+  if (resolvedRenderer === 'wasm' && dotOnlyFormats.includes(outputFormat)) {
+    throw new Error(`Format ${outputFormat} requires the dot executable, the wasm renderer only writes svg`);
+  }
+  if (resolvedRenderer === 'dot' && !hasDot()) {
+    throw new Error(missingDotMessage);
+  }
+  // I was using graphviz to call dot but it didn't fail gracefully so I'm calling the command directly.
+  // this needs adjusted if you use a different type of graph layout (not dot)
+  const command = resolvedRenderer === 'wasm'
+    ? [process.execPath, [path.join(__dirname, 'wasm-dot.js'), `-T${outputFormat}`]]
+    : ['dot', [`-T${outputFormat}`]];
+  try {
+    // without an encoding execFileSync returns a buffer
+    const encoding = outputFormat === 'svg' ? 'utf8' : undefined;
+    return execFileSync(command[0], command[1], {input: dot, encoding, maxBuffer: 1024 * 1024 * 1024});
+  }
+  catch (e) {
+    throw new Error('Render failed\n' + (e.stderr || e.message));
+  }
+}
+
+const formats = ['dot', 'svg', 'html', 'json', 'mermaid', 'graphml', 'png', 'pdf'];
+
+// format can be one format or an array of them
+function needsRenderer(format) {
+  return _.intersection(_.castArray(format), ['svg', 'html', 'png', 'pdf']).length > 0;
+}
+
+// returns an error message if the formats can't be rendered with this renderer, undefined if they can
+function checkRenderer(format, renderer) {
+  const selectedFormats = _.castArray(format);
+  if (!needsRenderer(selectedFormats)) {
+    return undefined;
+  }
+  const needsDotExecutable = renderer === 'dot' || _.intersection(selectedFormats, dotOnlyFormats).length > 0;
+  if (needsDotExecutable && !hasDot()) {
+    return renderer === 'wasm'
+      ? `Formats ${dotOnlyFormats.join(' and ')} require the dot executable, the wasm renderer only writes svg`
+      : missingDotMessage;
+  }
+  return undefined;
+}
+
+// graph can be the dot source from createGraph or the graph object from buildGraph
+// format is one of:
+// - dot, svg, png, pdf: png and pdf are buffers
+// - html: interactive.html with the svg embedded
+// - json, mermaid, graphml: built from the graph object, see formats.js, these don't need dot
+// for html pass stats too for search and module details, and the graph object for chunk filters, and labelPaths if the graph has them
+// options.renderer picks how svg, html, png and pdf are rendered, see resolveRenderer
+function render(graph, options) {
+  const format = (options && options.format) || 'svg';
+  const graphObject = typeof graph === 'string' ? undefined : graph;
+  const dot = graphObject ? graphObject.to_dot() : graph;
+  const requireGraphObject = () => {
+    if (!graphObject) {
+      throw new Error(`Format ${format} needs the graph object from buildGraph instead of dot source`);
+    }
+    return graphObject;
+  };
+  switch (format) {
+    case 'dot':
+      return dot;
+    case 'svg':
+    case 'png':
+    case 'pdf':
+      return renderWithDot(dot, format, options && options.renderer);
+    case 'html':
+      return renderHtml(renderWithDot(dot, 'svg', options.renderer), options.stats && createViewerData(options.stats, graphObject, options));
+    case 'json':
+      return JSON.stringify(graphToJson(requireGraphObject()), null, 2);
+    case 'mermaid':
+      return graphToMermaid(requireGraphObject());
+    case 'graphml':
+      return graphToGraphml(requireGraphObject());
+  }
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+// the svg is inlined in the html to avoid the need for a local web server
+// data is from createViewerData
+function renderHtml(svg, data) {
+  return interactiveHtml(svg, data);
+}
+
+module.exports = {
+  formats,
+  checkRenderer,
+  render,
+  renderHtml,
+  createViewerData,
+  hasDot,
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.graphml': 'application/xml',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf',
+};
+
+const reloadPath = '/__reload';
+
+// added to html pages as they are served, the files on disk (and in the archive) are left as is
+const reloadScript = `<script>new EventSource('${reloadPath}').onmessage = function () { location.reload(); };</script>`;
+
+function injectReloadScript(html) {
+  return html.includes('</body>') ? html.replace('</body>', `${reloadScript}\n</body>`) : html + reloadScript;
+}
+
+// serves outputDirectory on localhost only, / is interactive.html and /archive/ is the archive index
+// call reload() on the returned server after writing new files to reload open pages
+// this uses server-sent events so there is nothing to install in the browser
+function startPreviewServer(outputDirectory, port, onListening) {
+  const root = path.resolve(outputDirectory);
+  const reloadClients = [];
+
+  const server = http.createServer((request, response) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(request.url.split('?')[0]);
+    }
+    catch (e) {
+      // malformed escapes, i.e. /%E0%A4%A
+      response.writeHead(400, {'Content-Type': 'text/plain'});
+      response.end(`Bad request: ${request.url}`);
+      return;
+    }
+    if (pathname === reloadPath) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      });
+      response.write('\n');
+      reloadClients.push(response);
+      request.on('close', () => reloadClients.splice(reloadClients.indexOf(response), 1));
+      return;
+    }
+
+    let file = path.join(root, pathname === '/' ? 'interactive.html' : pathname);
+    // don't serve anything outside of the output folder
+    if (file !== root && !file.startsWith(root + path.sep)) {
+      response.writeHead(403);
+      response.end();
+      return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+      file = path.join(file, 'index.html');
+    }
+    if (!fs.existsSync(file)) {
+      response.writeHead(404, {'Content-Type': 'text/plain'});
+      response.end(`Not found: ${pathname}`);
+      return;
+    }
+    const extension = path.extname(file);
+    const contentType = contentTypes[extension] || 'text/plain; charset=utf-8';
+    const content = fs.readFileSync(file);
+    response.writeHead(200, {'Content-Type': contentType, 'Cache-Control': 'no-cache'});
+    response.end(extension === '.html' ? injectReloadScript(content.toString('utf8')) : content);
+  });
+
+  server.reload = () => reloadClients.forEach(client => client.write('data: reload\n\n'));
+  server.listen(port, '127.0.0.1', onListening);
+  return server;
+}
+
+module.exports = {
+  startPreviewServer,
+};
@@ -0,0 +1,65 @@
+function round(number, decimals) {
+  return Number((Math.round(number + 'e' + decimals) + 'e-' + decimals));
+}
+
+function displaySize(size) {
+  // show bytes up to 99 - because rounding to 1 digit means >= 100 can be seen as KB, MB, etc next level up
+  if (size < 100) {
+    return size + 'B';
+  }
+  // convert to KB
+  size /= 1024;
+  // show KB up to 99
+  if (size < 100) {
+    return round(size, 1) + 'KB';
+  }
+  // convert to MB
+  size /= 1024;
+  // show MB up to 99
+  if (size < 100) {
+    return round(size, 1) + 'MB';
+  }
+  // convert to GB
+  size /= 1024;
+  // this shouldn't happen :)
+  return round(size, 1) + 'GB';
+}
+
+const units = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+};
+
+// inverse of displaySize, accepts bytes as a number or strings like 250KB, 1.5 MB
+function parseSize(size) {
+  if (typeof size === 'number') {
+    return size;
+  }
+  const parsed = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?b)?$/i);
+  if (!parsed) {
+    throw new Error(`Invalid size: ${size}`);
+  }
+  return Math.round(Number(parsed[1]) * units[(parsed[2] || 'b').toLowerCase()]);
+}
+
+const sizeProperties = {
+  stat: 'size',
+  parsed: 'parsedSize',
+  gzip: 'gzipSize',
+};
+
+// sizeType is stat (webpack's size before minification), parsed or gzip, see readBundleSizes
+// items without a size of that type (i.e. their asset wasn't in the bundle directory) fall back to the stat size
+function sizeOf(item, sizeType) {
+  const size = item[sizeProperties[sizeType || 'stat']];
+  return size === undefined ? item.size : size;
+}
+
+module.exports = {
+  round,
+  displaySize,
+  parseSize,
+  sizeOf,
+};
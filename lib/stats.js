@@ -0,0 +1,123 @@
+const fs = require('fs');
+const _ = require('lodash');
+const {parseJsonFile, pickFields} = require('./json-stream');
+const {normalizeStats} = require('./normalize');
+
+// sources of bigger modules are dropped while reading, they're most of a big stats file
+// interactive.html shows no source for them and the graph never embeds sources of modules over 10,000 bytes
+const maxSourceLength = 50000;
+
+// fields of the stats that are read anywhere in lib, for webpack 2 through 5 and normalized stats, see parseJsonFile for the schema format
+const reasonFields = {
+  moduleId: true,
+  moduleIdentifier: true,
+  module: true,
+  moduleName: true,
+  type: true,
+  userRequest: true,
+};
+
+const moduleFields = {
+  id: true,
+  identifier: true,
+  name: true,
+  size: true,
+  parsedSize: true,
+  gzipSize: true,
+  chunks: true,
+  depth: true,
+  index: true,
+  index2: true,
+  preOrderIndex: true,
+  postOrderIndex: true,
+  reasons: [reasonFields],
+  providedExports: true,
+  usedExports: true,
+  source: maxSourceLength,
+  orphan: true,
+  compilation: true,
+  concatenatedInto: true,
+};
+// modules inside concatenated modules and webpack 5 module groups
+moduleFields.modules = [moduleFields];
+moduleFields.children = [moduleFields];
+
+const chunkFields = {
+  id: true,
+  name: true,
+  names: true,
+  files: true,
+  entry: true,
+  initial: true,
+  size: true,
+  parsedSize: true,
+  gzipSize: true,
+  hash: true,
+  parents: true,
+  children: true,
+  siblings: true,
+  compilation: true,
+  // only used by stats without top level modules, see dropChunkModules
+  modules: [moduleFields],
+};
+
+const chunkGroupFields = {
+  name: true,
+  chunks: true,
+};
+
+const messageFields = {
+  message: true,
+  moduleName: true,
+};
+
+const compilationFields = {
+  hash: true,
+  name: true,
+  version: true,
+  time: true,
+  builtAt: true,
+  assets: [{
+    name: true,
+    size: true,
+    parsedSize: true,
+    gzipSize: true,
+    chunks: true,
+    chunkNames: true,
+  }],
+  chunks: [chunkFields],
+  modules: [moduleFields],
+  entrypoints: {'*': chunkGroupFields},
+  namedChunkGroups: {'*': chunkGroupFields},
+  warnings: [messageFields],
+  errors: [messageFields],
+};
+// multi-compiler stats
+compilationFields.children = [compilationFields];
+
+// with top level modules, the copies of modules in chunks (chunkModules) aren't needed
+function dropChunkModules(stats) {
+  const chunks = stats.modules && stats.chunks
+    ? stats.chunks.map(c => _.omit(c, 'modules'))
+    : stats.chunks;
+  const children = stats.children && stats.children.map(dropChunkModules);
+  return _.omitBy(Object.assign({}, stats, {chunks, children}), _.isUndefined);
+}
+
+// stats reduced to the fields that are read, the same as readStatsFile keeps, i.e. to compare stats in memory with a stats file
+function pickStatsFields(stats) {
+  return dropChunkModules(pickFields(stats, compilationFields));
+}
+
+// stats files are read in chunks so big files don't have to fit in memory, see parseJsonFile
+function readStatsFile(statsFile) {
+  if (!fs.existsSync(statsFile)) {
+    throw new Error(`File not found for stats: ${statsFile}`);
+  }
+  return normalizeStats(dropChunkModules(parseJsonFile(statsFile, compilationFields)));
+}
+
+module.exports = {
+  readStatsFile,
+  pickStatsFields,
+};
@@ -0,0 +1,31 @@
+/* eslint-env browser */
+// sorts the archive index table when a column header is clicked, clicking again reverses the order
+// cells sort by their data-sort value, numbers numerically and everything else as text
+(function () {
+  const table = document.querySelector('table');
+  const body = table.querySelector('tbody');
+  let sortedColumn;
+  let ascending = true;
+
+  function sortValue(row, column) {
+    const value = row.children[column].getAttribute('data-sort');
+    return value === null ? row.children[column].textContent : value;
+  }
+
+  function compare(a, b) {
+    const numbers = a !== '' && b !== '' && !isNaN(a) && !isNaN(b);
+    return numbers ? Number(a) - Number(b) : a.localeCompare(b);
+  }
+
+  table.querySelectorAll('th').forEach((header, column) => {
+    header.addEventListener('click', () => {
+      ascending = sortedColumn === column ? !ascending : true;
+      sortedColumn = column;
+      table.querySelectorAll('th').forEach(h => h.classList.remove('ascending', 'descending'));
+      header.classList.add(ascending ? 'ascending' : 'descending');
+      Array.from(body.children)
+        .sort((a, b) => (ascending ? 1 : -1) * compare(sortValue(a, column), sortValue(b, column)))
+        .forEach(row => body.appendChild(row));
+    });
+  });
+})();
@@ -0,0 +1,292 @@
+/* eslint-env browser */
+// dependency free viewer for the svg embedded in interactive.html, it must work from file:// with no network
+// graphviz writes a <title> into each node, edge and cluster group: node titles are node ids, edge titles are "from->to"
+// module details and chunk clusters come from the json embedded next to the svg, see createViewerData
+(function () {
+  const graphContainer = document.getElementById('graph');
+  const svg = graphContainer.querySelector('svg');
+  const data = JSON.parse(document.getElementById('graph-data').textContent);
+
+  function titleOf(element) {
+    const title = Array.from(element.children).find(c => c.tagName === 'title');
+    return title ? title.textContent : '';
+  }
+
+  const nodes = {};
+  svg.querySelectorAll('g.node').forEach(node => nodes[titleOf(node)] = node);
+
+  const clusterElements = {};
+  svg.querySelectorAll('g.cluster').forEach(cluster => clusterElements[titleOf(cluster)] = cluster);
+
+  const edges = Array.from(svg.querySelectorAll('g.edge'))
+    .map(edge => {
+      const ends = titleOf(edge).split('->');
+      return {element: edge, from: ends[0], to: ends[1]};
+    });
+
+  // follow edges transitively in one direction, returns ids of reached nodes and the edges followed
+  function linked(id, direction) {
+    const from = direction === 'up' ? 'to' : 'from';
+    const to = direction === 'up' ? 'from' : 'to';
+    const reached = {[id]: true};
+    const followed = [];
+    let current = [id];
+    while (current.length > 0) {
+      const next = [];
+      edges
+        .filter(e => current.includes(e[from]))
+        .forEach(e => {
+          followed.push(e);
+          if (!reached[e[to]]) {
+            reached[e[to]] = true;
+            next.push(e[to]);
+          }
+        });
+      current = next;
+    }
+    return {nodeIds: Object.keys(reached), edges: followed};
+  }
+
+  function clearHighlight() {
+    svg.classList.remove('highlighting');
+    svg.querySelectorAll('.highlighted').forEach(e => e.classList.remove('highlighted'));
+  }
+
+  // highlight the node and everything it depends on and everything that depends on it
+  function highlight(id) {
+    clearHighlight();
+    svg.classList.add('highlighting');
+    [linked(id, 'up'), linked(id, 'down')].forEach(l => {
+      l.nodeIds.filter(n => nodes[n]).forEach(n => nodes[n].classList.add('highlighted'));
+      l.edges.forEach(e => e.element.classList.add('highlighted'));
+    });
+  }
+
+  // details panel
+
+  const details = document.getElementById('details');
+  const detailsContent = document.getElementById('details-content');
+
+  function element(tagName, text, className) {
+    const e = document.createElement(tagName);
+    if (text !== undefined) {
+      e.textContent = text;
+    }
+    if (className) {
+      e.className = className;
+    }
+    return e;
+  }
+
+  function section(title, content) {
+    const s = element('section');
+    s.appendChild(element('h4', title));
+    s.appendChild(typeof content === 'string' ? element('p', content) : content);
+    return s;
+  }
+
+  function list(items) {
+    const ul = element('ul');
+    items.forEach(item => ul.appendChild(element('li', item)));
+    return ul;
+  }
+
+  function exportsText(exports) {
+    if (exports === true) {
+      return 'all (not analyzed)';
+    }
+    if (exports === false) {
+      return 'none';
+    }
+    if (exports === null || exports.length === 0) {
+      return 'unknown';
+    }
+    return exports.join(', ');
+  }
+
+  function showDetails(id) {
+    const m = data.modules[id];
+    detailsContent.innerHTML = '';
+    if (!m) {
+      detailsContent.appendChild(element('h3', nodes[id] ? nodes[id].textContent.trim() : id));
+      detailsContent.appendChild(element('p', 'No module details for this node.'));
+    }
+    else {
+      detailsContent.appendChild(element('h3', m.name, 'module-name'));
+      detailsContent.appendChild(section('size', `${m.sizeText} (${m.size} bytes)`));
+      if (m.parsedSizeText !== null) {
+        detailsContent.appendChild(section('parsed size', m.parsedSizeText));
+        detailsContent.appendChild(section('gzip size', m.gzipSizeText));
+      }
+      detailsContent.appendChild(section('depth', String(m.depth)));
+      if (m.packageName) {
+        detailsContent.appendChild(section('package', m.packageName));
+      }
+      detailsContent.appendChild(section('chunks', m.chunks.join(', ')));
+      detailsContent.appendChild(section('reasons', m.reasons.length > 0
+        ? list(m.reasons.map(r => `${r.module} (${r.typeText})`))
+        : 'entry module'));
+      detailsContent.appendChild(section('provided exports', exportsText(m.providedExports)));
+      detailsContent.appendChild(section('used exports', exportsText(m.usedExports)));
+      if (m.source) {
+        detailsContent.appendChild(section('source', element('pre', m.source)));
+      }
+    }
+    details.hidden = false;
+  }
+
+  function hideDetails() {
+    details.hidden = true;
+  }
+
+  document.getElementById('close-details').addEventListener('click', hideDetails);
+
+  Object.keys(nodes).forEach(id => nodes[id].addEventListener('click', evt => {
+    // links on nodes (npm, unpkg, sources) still work with ctrl/cmd click
+    if (!evt.ctrlKey && !evt.metaKey) {
+      evt.preventDefault();
+      highlight(id);
+      showDetails(id);
+    }
+  }));
+
+  document.addEventListener('keydown', evt => {
+    if (evt.key === 'Escape') {
+      clearHighlight();
+      hideDetails();
+    }
+  });
+
+  // shift-scroll to zoom
+
+  const width = parseFloat(svg.getAttribute('width'));
+  const height = parseFloat(svg.getAttribute('height'));
+  let scale = 1;
+
+  function zoom(newScale) {
+    scale = Math.min(10, Math.max(0.1, newScale));
+    svg.setAttribute('width', `${width * scale}pt`);
+    svg.setAttribute('height', `${height * scale}pt`);
+  }
+
+  graphContainer.addEventListener('wheel', evt => {
+    if (!evt.shiftKey) {
+      return;
+    }
+    evt.preventDefault();
+    // some browsers turn shift-scroll into horizontal scrolling
+    const delta = evt.deltaY || evt.deltaX;
+    zoom(scale * (delta < 0 ? 1.1 : 1 / 1.1));
+  }, {passive: false});
+
+  // search
+
+  const search = document.getElementById('search');
+  const searchResults = document.getElementById('search-results');
+  const maxSearchResults = 20;
+
+  function searchText(id) {
+    const m = data.modules[id];
+    const text = m ? [m.name, m.label, m.packageName] : [nodes[id].textContent];
+    return text.filter(t => t).join(' ').toLowerCase();
+  }
+
+  function zoomToNode(id) {
+    if (scale < 1) {
+      zoom(1);
+    }
+    highlight(id);
+    showDetails(id);
+    const nodeBox = nodes[id].getBoundingClientRect();
+    const containerBox = graphContainer.getBoundingClientRect();
+    graphContainer.scrollLeft += nodeBox.left - containerBox.left - (containerBox.width - nodeBox.width) / 2;
+    graphContainer.scrollTop += nodeBox.top - containerBox.top - (containerBox.height - nodeBox.height) / 2;
+  }
+
+  function findNodes(query) {
+    return Object.keys(nodes)
+      .filter(id => !nodes[id].classList.contains('filtered'))
+      .filter(id => searchText(id).includes(query));
+  }
+
+  search.addEventListener('input', () => {
+    searchResults.innerHTML = '';
+    const query = search.value.trim().toLowerCase();
+    if (!query) {
+      return;
+    }
+    const found = findNodes(query);
+    found.slice(0, maxSearchResults).forEach(id => {
+      const m = data.modules[id];
+      const result = element('li', m ? m.name : nodes[id].textContent.trim());
+      result.addEventListener('click', () => zoomToNode(id));
+      searchResults.appendChild(result);
+    });
+    if (found.length > maxSearchResults) {
+      searchResults.appendChild(element('li', `${found.length - maxSearchResults} more...`, 'more'));
+    }
+    if (found.length === 0) {
+      searchResults.appendChild(element('li', 'no matches', 'more'));
+    }
+  });
+
+  search.addEventListener('keydown', evt => {
+    if (evt.key === 'Enter') {
+      const found = findNodes(search.value.trim().toLowerCase());
+      if (found.length > 0) {
+        zoomToNode(found[0]);
+      }
+    }
+  });
+
+  // show/hide chunk and overlap clusters
+
+  const hiddenClusters = {};
+
+  function applyClusterFilter() {
+    const hiddenNodes = {};
+    data.clusters.forEach(cluster => {
+      const hidden = !!hiddenClusters[cluster.id];
+      [cluster.id].concat(cluster.clusterIds)
+        .filter(id => clusterElements[id])
+        .forEach(id => clusterElements[id].classList.toggle('filtered', hidden));
+      if (hidden) {
+        cluster.nodeIds.forEach(id => hiddenNodes[id] = true);
+      }
+    });
+    Object.keys(nodes).forEach(id => nodes[id].classList.toggle('filtered', !!hiddenNodes[id]));
+    edges.forEach(e => e.element.classList.toggle('filtered', !!(hiddenNodes[e.from] || hiddenNodes[e.to])));
+  }
+
+  function clusterCheckboxes(title, clusters) {
+    const group = element('fieldset');
+    group.appendChild(element('legend', title));
+    clusters.forEach(cluster => {
+      const label = element('label');
+      const checkbox = element('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.addEventListener('change', () => {
+        hiddenClusters[cluster.id] = !checkbox.checked;
+        applyClusterFilter();
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${cluster.label}`));
+      group.appendChild(label);
+    });
+    return group;
+  }
+
+  const clusterList = document.getElementById('cluster-list');
+  const chunkClusters = data.clusters.filter(c => !c.isVisualOverlap);
+  const overlapClusters = data.clusters.filter(c => c.isVisualOverlap);
+  if (data.clusters.length === 0) {
+    document.getElementById('clusters').hidden = true;
+  }
+  if (chunkClusters.length > 0) {
+    clusterList.appendChild(clusterCheckboxes('chunks', chunkClusters));
+  }
+  if (overlapClusters.length > 0) {
+    clusterList.appendChild(clusterCheckboxes('overlap', overlapClusters));
+  }
+})();
@@ -0,0 +1,24 @@
+// stands in for the dot executable with graphviz compiled to WebAssembly, reads dot from stdin and writes the output to stdout:
+// node wasm-dot.js -Tsvg < graph.dot
+// loading the wasm module is async, running it as a child process keeps render synchronous like dot
+const {instance} = require('@viz-js/viz');
+
+const formatArgument = process.argv.find(a => a.startsWith('-T'));
+const format = formatArgument ? formatArgument.substr(2) : 'svg';
+
+const chunks = [];
+process.stdin.on('data', chunk => chunks.push(chunk));
+process.stdin.on('end', () => {
+  instance()
+    .then(viz => {
+      const result = viz.render(Buffer.concat(chunks).toString('utf8'), {format});
+      if (result.status !== 'success') {
+        throw new Error(result.errors.map(e => e.message).join('\n'));
+      }
+      process.stdout.write(result.output);
+    })
+    .catch(e => {
+      process.stderr.write(e.message);
+      process.exitCode = 1;
+    });
+});
@@ -0,0 +1,89 @@
+const _ = require('lodash');
+const {parseModule, dependencyDisplayText} = require('./modules');
+const {qualifiedChunkName} = require('./chunks');
+const {createModuleNameMatcher} = require('./filter');
+const {normalizeStats} = require('./normalize');
+
+// breadth first search from the target back through issuers, so the first time an entry module is reached is its shortest path
+function shortestPathsFromEntries(target, modulesById) {
+  const previous = {[target.graphId]: null};
+  const queue = [target];
+  const paths = [];
+  while (queue.length > 0) {
+    const m = queue.shift();
+    if (m.depth === 0) {
+      paths.push(pathFromEntry(m, previous, modulesById));
+    }
+    m.issuers
+      .filter(issuer => modulesById[issuer.graphId])
+      .forEach(issuer => {
+        if (previous[issuer.graphId] !== undefined) {
+          return;
+        }
+        previous[issuer.graphId] = {graphId: m.graphId, type: issuer.type};
+        queue.push(modulesById[issuer.graphId]);
+      });
+  }
+  return paths;
+}
+
+function pathFromEntry(entry, previous, modulesById) {
+  const hops = [];
+  let current = entry.graphId;
+  while (previous[current]) {
+    const next = previous[current];
+    hops.push({
+      from: modulesById[current].name,
+      to: modulesById[next.graphId].name,
+      type: next.type,
+      typeDisplayText: dependencyDisplayText(next),
+    });
+    current = next.graphId;
+  }
+  return {
+    entry: entry.name,
+    hops,
+  };
+}
+
+// explains why modules matching pattern are in the bundle:
+// the shortest issuer chain from each entry module (depth 0) and the chunks the module ends up in
+function whyModule(stats, pattern) {
+  stats = normalizeStats(stats);
+  const parsedModules = stats.modules.map(m => parseModule(m));
+  const modulesById = _.keyBy(parsedModules, 'graphId');
+  const chunksById = _.keyBy(stats.chunks, 'id');
+
+  return parsedModules
+    .filter(createModuleNameMatcher(pattern))
+    .map(m => ({
+      name: m.name,
+      chunks: (m.chunks || [])
+        .map(id => chunksById[id] ? qualifiedChunkName(chunksById[id]) : id.toString()),
+      paths: shortestPathsFromEntries(m, modulesById),
+    }));
+}
+
+function formatWhy(results) {
+  return results
+    .map(result => {
+      const lines = [`${result.name}`, `  chunks: ${result.chunks.join(', ')}`];
+      if (result.paths.length === 0) {
+        lines.push('  not reachable from an entry module');
+      }
+      result.paths.forEach(p => {
+        lines.push(`  from entry ${p.entry}:`);
+        if (p.hops.length === 0) {
+          lines.push('    is the entry module');
+        }
+        p.hops.forEach(hop => lines.push(`    -> ${hop.to} (${hop.typeDisplayText})`));
+      });
+      return lines.join('\n');
+    })
+    .join('\n\n');
+}
+
+module.exports = {
+  whyModule,
+  formatWhy,
+};